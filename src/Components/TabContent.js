@@ -35,15 +35,79 @@ import {
     CircularProgress,
     Chip,
     Box,
-    Alert
+    Alert,
+    Switch,
+    FormControlLabel,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Table,
+    TableHead,
+    TableBody,
+    TableRow,
+    TableCell,
+    Tooltip
 } from '@material-ui/core';
 import {
     Refresh as RefreshIcon,
     Link as LinkIcon,
     LinkOff as UnlinkIcon,
-    Schedule as ScheduleIcon
+    Schedule as ScheduleIcon,
+    AccessTime as AllowedHoursIcon,
+    SportsEsports as AppsIcon,
+    Language as WebFilterIcon,
+    AddAlarm as GrantIcon,
+    Lock as LockIcon,
+    LockOpen as UnlockIcon,
+    Visibility as DryRunIcon
 } from '@material-ui/icons';
 
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DEVICE_CLASS_LABELS = {
+    windows: 'Windows PCs',
+    xbox: 'Xboxes',
+    android: 'Android devices',
+    other: 'Other devices'
+};
+
+const AUDIT_TYPES = {
+    sync: 'Syncs',
+    action: 'Changes',
+    timeRequest: 'Time requests',
+    grant: 'Extra time',
+    lock: 'Locks'
+};
+
+// Settings with controls of their own next to the features they change
+const SETTINGS_ELSEWHERE = ['conflictPolicy', 'reportUsage', 'dryRun', 'sandboxMode'];
+
+// Why a dry run would have written a limit
+const DRY_RUN_CAUSES = {
+    sync: 'Sync',
+    lock: 'Lock',
+    unlock: 'Unlock',
+    disable: 'Disabled by automation',
+    release: 'Device no longer enforced',
+    restrictBrowsing: 'Browsing restricted by automation',
+    restoreBrowsing: 'Browsing restored by automation',
+    unlink: 'Unlinked'
+};
+
+const DRY_RUN_TRIGGERS = {
+    quotaExceeded: 'Quota Exceeded',
+    quotaRenewed: 'Quota Renewed'
+};
+
+const DEVICE_CLASS_NAMES = {
+    windows: 'Windows',
+    xbox: 'Xbox',
+    android: 'Android',
+    other: 'Other'
+};
+
 class TabContent extends Component {
     constructor(props) {
         super(props);
@@ -51,10 +115,48 @@ class TabContent extends Component {
         this.state = {
             loading: false,
             authenticated: false,
+            reauthRequired: false,
+            reauthReason: null,
             children: [],
             allow2Children: [],
             childLinks: {},
             quotaState: {},
+            verification: {},
+            conflicts: {},
+            conflictPolicy: 'allow2',
+            sandboxMode: false,
+            schedule: {},
+            outboxDepth: 0,
+            scheduleEditor: null,
+            appEditor: null,
+            webEditor: null,
+            timeRequests: [],
+            extensionsAvailable: false,
+            grantMinutes: {},
+            grants: {},
+            grantEditor: null,
+            locks: { family: null, children: {} },
+            lockEditor: null,
+            usage: null,
+            usageChild: '',
+            reportUsage: true,
+            usageReporting: false,
+            usageReports: {},
+            auditLog: { entries: [], total: 0 },
+            auditFilter: { msChildId: '', type: '', search: '' },
+            exportPath: '',
+            dryRun: false,
+            dryRunChildren: {},
+            dryRunLog: { entries: [], total: 0 },
+            linkDryRun: {},
+            settings: {},
+            settingsSchema: {},
+            settingsDraft: null,
+            settingsProblems: [],
+            now: Date.now(),
+            enforcement: {},
+            activityMappings: {},
+            activities: [],
             screenTime: {},
             lastSync: null,
             tokenExpiry: null,
@@ -65,174 +167,2263 @@ class TabContent extends Component {
         };
     }
 
-    componentDidMount() {
-        this.loadStatus();
+    componentDidMount() {
+        this.loadStatus();
+
+        // Get Allow2 children
+        if (this.props.allow2Children) {
+            this.setState({ allow2Children: this.props.allow2Children });
+        }
+
+        // Grant countdowns, and a refresh once a grant or lock runs out
+        this.clock = setInterval(() => {
+            const now = Date.now();
+            const { grants, locks } = this.state;
+            const ends = [
+                ...Object.values(grants).flat().map(grant => grant.expiresAt),
+                ...[locks.family, ...Object.values(locks.children)].filter(Boolean).map(lock => lock.until)
+            ];
+            const expired = ends.some(end => end > this.state.now && end <= now);
+
+            this.setState({ now });
+            if (expired) this.loadStatus();
+        }, 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.clock);
+    }
+
+    loadStatus = async () => {
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getStatus');
+
+            if (error) {
+                this.setState({ error: error.message });
+                return;
+            }
+
+            this.setState({
+                authenticated: result.authenticated,
+                reauthRequired: result.reauthRequired,
+                reauthReason: result.reauthReason,
+                children: Object.values(result.children || {}),
+                childLinks: result.childLinks || {},
+                quotaState: result.quotaState || {},
+                verification: result.verification || {},
+                conflicts: result.conflicts || {},
+                conflictPolicy: (result.settings && result.settings.conflictPolicy) || 'allow2',
+                sandboxMode: !!(result.settings && result.settings.sandboxMode),
+                reportUsage: !(result.settings && result.settings.reportUsage === false),
+                usageReporting: !!result.usageReporting,
+                usageReports: result.usageReports || {},
+                dryRun: !!(result.settings && result.settings.dryRun),
+                dryRunChildren: result.dryRunChildren || {},
+                settings: result.settings || {},
+                settingsSchema: result.settingsSchema || {},
+                lastSync: result.lastSync,
+                tokenExpiry: result.tokenExpiry,
+                outboxDepth: result.outboxDepth || 0,
+                enforcement: result.enforcement || {},
+                activityMappings: result.activityMappings || {},
+                activities: result.activities || [],
+                timeRequests: result.timeRequests || [],
+                grants: result.grants || {},
+                locks: result.locks || { family: null, children: {} },
+                extensionsAvailable: !!result.extensionsAvailable,
+                schedule: (result.schedule || []).reduce((acc, entry) => {
+                    acc[entry.childId] = entry;
+                    return acc;
+                }, {})
+            });
+
+            this.loadAuditLog();
+            this.loadDryRunLog();
+
+            // Keep the usage history current, on the first linked child until one is chosen
+            const linked = Object.keys(result.childLinks || {});
+            const usageChild = linked.includes(this.state.usageChild) ? this.state.usageChild : linked[0];
+            if (usageChild) {
+                this.loadUsage(usageChild);
+            }
+
+        } catch (error) {
+            this.setState({ error: error.message });
+        }
+    };
+
+    handleAuthenticate = async () => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.authenticate');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                authenticated: true,
+                reauthRequired: false,
+                reauthReason: null,
+                success: 'Successfully authenticated with Microsoft!',
+                loading: false,
+                tokenExpiry: result.expiresAt
+            });
+
+            // Load children after authentication
+            setTimeout(() => this.handleGetChildren(), 1000);
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleGetChildren = async () => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getChildren');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                children: result.children || [],
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleLinkChild = async (msChildId) => {
+        const allow2ChildId = this.state.selectedAllow2Child[msChildId];
+
+        if (!allow2ChildId) {
+            this.setState({ error: 'Please select an Allow2 child to link' });
+            return;
+        }
+
+        // Linked in dry run, the child's devices are left alone until it is turned off
+        const dryRun = !!this.state.linkDryRun[msChildId];
+
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.linkChild', {
+                msChildId,
+                allow2ChildId,
+                dryRun
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            // Update local state
+            const childLinks = { ...this.state.childLinks };
+            childLinks[msChildId] = allow2ChildId;
+
+            this.setState({
+                childLinks,
+                dryRunChildren: dryRun
+                    ? { ...this.state.dryRunChildren, [msChildId]: Date.now() }
+                    : this.state.dryRunChildren,
+                success: dryRun
+                    ? 'Child linked in dry run - limits are recorded, not sent to Microsoft'
+                    : 'Child linked successfully!',
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleUnlinkChild = async (msChildId) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.unlinkChild', {
+                msChildId
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            // Update local state
+            const childLinks = { ...this.state.childLinks };
+            delete childLinks[msChildId];
+
+            this.setState({
+                childLinks,
+                success: 'Child unlinked successfully!',
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleConflictPolicyChange = async (policy) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setConflictPolicy', { policy });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                conflictPolicy: result.policy,
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleResolveConflict = async (msChildId, keep) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.resolveConflict', {
+                msChildId,
+                keep
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                success: keep === 'allow2'
+                    ? 'Allow2 limit restored'
+                    : 'Keeping the Microsoft Family limit until midnight',
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleSandboxModeChange = async (enabled) => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setSandboxMode', { enabled });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                sandboxMode: result.sandboxMode,
+                success: result.sandboxMode
+                    ? 'Sandbox mode on - using the local Microsoft Family simulator'
+                    : 'Sandbox mode off - using Microsoft Family',
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    /**
+     * A setting as edited in the card - numbers in the units shown
+     */
+    toSettingsDraft = (settings, schema) => Object.fromEntries(Object.entries(schema).map(([key, field]) => [
+        key,
+        field.type === 'integer' ? String(settings[key] / (field.scale || 1)) : settings[key]
+    ]));
+
+    handleSaveSettings = async () => {
+        const { settingsDraft, settingsSchema } = this.state;
+
+        // Blank or non-numeric entries go through as-is for the main process to reject
+        const values = Object.fromEntries(Object.keys(settingsDraft)
+            .filter(key => !SETTINGS_ELSEWHERE.includes(key))
+            .map(key => {
+                const field = settingsSchema[key];
+                const value = settingsDraft[key];
+                if (field.type !== 'integer') return [key, value];
+                return [key, value === '' || isNaN(Number(value)) ? value : Number(value) * (field.scale || 1)];
+            }));
+
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.saveSettings', { settings: values });
+
+            if (error) {
+                this.setState({ error: error.message, settingsProblems: error.problems || [], loading: false });
+                return;
+            }
+
+            this.setState({
+                settings: result.settings,
+                settingsDraft: null,
+                settingsProblems: result.problems,
+                success: result.changed.length > 0 ? 'Settings saved and applied' : 'No settings changed',
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleEnforcementChange = async (msChildId, targets) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setEnforcementTargets', {
+                msChildId,
+                targets
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                enforcement: { ...this.state.enforcement, [msChildId]: { targets: result.targets } },
+                success: result.targets.length > 0
+                    ? 'Limits now apply to the selected devices'
+                    : 'Limits now apply to the whole account',
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleActivityMappingChange = async (msChildId, deviceClass, activity) => {
+        this.setState({ loading: true, error: null });
+
+        const mapping = { ...this.state.activityMappings[msChildId] };
+        if (activity === '') {
+            delete mapping[deviceClass];
+        } else {
+            mapping[deviceClass] = activity;
+        }
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setActivityMapping', {
+                msChildId,
+                mapping
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                activityMappings: { ...this.state.activityMappings, [msChildId]: result.mapping },
+                success: activity === ''
+                    ? `${DEVICE_CLASS_LABELS[deviceClass]} now follow the main limit`
+                    : `${DEVICE_CLASS_LABELS[deviceClass]} now use the Allow2 ${this.describeActivity(activity)} quota`,
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleOpenApps = async (child) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getApps', {
+                msChildId: child.id
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                appEditor: {
+                    msChildId: child.id,
+                    name: child.name,
+                    apps: result.apps,
+                    rules: result.rules,
+                    limits: result.apps.reduce((acc, app) => {
+                        acc[app.id] = app.dailyLimit === null ? '' : String(app.dailyLimit);
+                        return acc;
+                    }, {})
+                },
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    // Runs one app change, then re-reads the list so the dialog shows what Microsoft holds
+    handleAppChange = async (channel, params, message) => {
+        const { appEditor } = this.state;
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke(channel, {
+                msChildId: appEditor.msChildId,
+                ...params
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({ success: message, loading: false });
+            this.handleOpenApps({ id: appEditor.msChildId, name: appEditor.name });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleAppLimitSave = (app) => {
+        const value = this.state.appEditor.limits[app.id];
+        const minutes = value === '' ? null : Number(value);
+
+        this.handleAppChange('msFamily.setAppLimit', { appId: app.id, minutes },
+            minutes === null ? `${app.name} no longer has its own limit` : `${app.name} limited to ${minutes} minutes a day`);
+    };
+
+    handleOpenWebFilter = async (child) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getWebFilter', {
+                msChildId: child.id
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                webEditor: {
+                    msChildId: child.id,
+                    name: child.name,
+                    // While restricted by an action, the switches show what will be restored
+                    enabled: result.restriction ? result.restriction.previous.enabled : result.enabled,
+                    allowListOnly: result.restriction ? result.restriction.previous.allowListOnly : result.allowListOnly,
+                    allowedSites: result.allowedSites,
+                    blockedSites: result.blockedSites,
+                    restriction: result.restriction,
+                    newSite: { allowedSites: '', blockedSites: '' }
+                },
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleWebFilterChange = (changes) => {
+        this.setState({ webEditor: { ...this.state.webEditor, ...changes } });
+    };
+
+    handleAddSite = (list) => {
+        const { webEditor } = this.state;
+        const site = webEditor.newSite[list].trim();
+        if (!site) return;
+
+        this.handleWebFilterChange({
+            [list]: webEditor[list].includes(site) ? webEditor[list] : [...webEditor[list], site],
+            newSite: { ...webEditor.newSite, [list]: '' }
+        });
+    };
+
+    handleSaveWebFilter = async () => {
+        const { webEditor } = this.state;
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.setWebFilter', {
+                msChildId: webEditor.msChildId,
+                filter: {
+                    enabled: webEditor.enabled,
+                    allowListOnly: webEditor.allowListOnly,
+                    allowedSites: webEditor.allowedSites,
+                    blockedSites: webEditor.blockedSites
+                }
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                webEditor: null,
+                success: `Web filter updated for ${webEditor.name}`,
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleRefreshRequests = async () => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getTimeRequests');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                timeRequests: result.requests,
+                extensionsAvailable: result.extensionsAvailable,
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleRespondRequest = async (request, approve) => {
+        const value = this.state.grantMinutes[request.id];
+        const minutes = value === undefined ? request.minutes : Number(value);
+
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.respondToTimeRequest', {
+                requestId: request.id,
+                approve,
+                minutes
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                timeRequests: this.state.timeRequests.filter(r => r.id !== request.id),
+                success: approve
+                    ? `Gave ${request.childName} ${minutes} more minutes`
+                    : `Declined ${request.childName}'s request`,
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleSaveGrant = async () => {
+        const { grantEditor } = this.state;
+
+        // "until" is today's local time; empty means end of day
+        let expiresAt = null;
+        if (grantEditor.until) {
+            const [hours, minutes] = grantEditor.until.split(':').map(Number);
+            expiresAt = new Date().setHours(hours, minutes, 0, 0);
+        }
+
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.addGrant', {
+                msChildId: grantEditor.msChildId,
+                minutes: grantEditor.unlimited ? null : Number(grantEditor.minutes),
+                expiresAt
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                grantEditor: null,
+                success: grantEditor.unlimited
+                    ? `${grantEditor.name} has unlimited time until ${grantEditor.until || 'the end of the day'}`
+                    : `Gave ${grantEditor.name} ${grantEditor.minutes} more minutes until ${grantEditor.until || 'the end of the day'}`,
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleLock = async () => {
+        const { lockEditor } = this.state;
+
+        // Durations are minutes from now; 'midnight' ends the day, 'unlocked' never ends
+        let until = null;
+        if (lockEditor.duration === 'midnight') {
+            until = new Date().setHours(24, 0, 0, 0);
+        } else if (lockEditor.duration !== 'unlocked') {
+            until = Date.now() + Number(lockEditor.duration) * 60000;
+        }
+
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error, result] = lockEditor.msChildId
+                ? await window.ipcRenderer.invoke('msFamily.lockChild', { msChildId: lockEditor.msChildId, until })
+                : await window.ipcRenderer.invoke('msFamily.lockFamily', { until });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            const failed = Object.values(result.results).filter(outcome => outcome.error);
+
+            this.setState({
+                lockEditor: null,
+                success: `${lockEditor.name} locked ${this.describeLockEnd(until)}`,
+                error: failed.length > 0
+                    ? `Microsoft Family could not be reached for every device - the lock is applied at the next sync (${failed[0].error})`
+                    : null,
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleUnlock = async (msChildId) => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error] = msChildId
+                ? await window.ipcRenderer.invoke('msFamily.unlockChild', { msChildId })
+                : await window.ipcRenderer.invoke('msFamily.unlockFamily');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({ success: 'Lock lifted - Allow2 limits apply again', loading: false });
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    loadUsage = async (msChildId) => {
+        this.setState({ usageChild: msChildId });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getUsageHistory', { msChildId });
+
+            if (error) {
+                this.setState({ error: error.message });
+                return;
+            }
+
+            this.setState({ usage: result });
+
+        } catch (error) {
+            this.setState({ error: error.message });
+        }
+    };
+
+    loadAuditLog = async (auditFilter = this.state.auditFilter) => {
+        this.setState({ auditFilter });
+
+        // Empty filter fields mean "any"
+        const filter = Object.fromEntries(Object.entries(auditFilter).filter(([, value]) => value));
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getAuditLog', { filter });
+
+            if (error) {
+                this.setState({ error: error.message });
+                return;
+            }
+
+            this.setState({
+                auditLog: result,
+                exportPath: this.state.exportPath || `${result.exportPath}.csv`
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message });
+        }
+    };
+
+    handleExportAuditLog = async (format) => {
+        const { auditFilter } = this.state;
+        const exportPath = `${this.state.exportPath.replace(/\.(csv|json)$/i, '')}.${format}`;
+        const filter = Object.fromEntries(Object.entries(auditFilter).filter(([, value]) => value));
+
+        this.setState({ loading: true, error: null, success: null, exportPath });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.exportAuditLog', {
+                format,
+                path: exportPath,
+                filter
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({ success: `Exported ${result.count} entries to ${result.path}`, loading: false });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleUsageReportingChange = async (enabled) => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.setUsageReporting', { enabled });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                reportUsage: enabled,
+                success: enabled
+                    ? 'Microsoft use now counts against Allow2 quotas'
+                    : 'Microsoft use is no longer reported to Allow2',
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    loadDryRunLog = async () => {
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getDryRunLog', {});
+
+            if (error) {
+                this.setState({ error: error.message });
+                return;
+            }
+
+            this.setState({ dryRunLog: result });
+
+        } catch (error) {
+            this.setState({ error: error.message });
+        }
+    };
+
+    // Dry run for one linked child, or for every child when msChildId is null
+    handleDryRunChange = async (msChildId, enabled) => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setDryRun', { msChildId, enabled });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                dryRun: result.dryRun,
+                dryRunChildren: result.dryRunChildren,
+                success: enabled
+                    ? 'Dry run on - limit changes are recorded, not sent to Microsoft'
+                    : 'Dry run off - limits are being applied',
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleClearDryRunLog = async () => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.clearDryRunLog');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({ dryRunLog: { entries: [], total: 0 }, loading: false });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleRevokeGrant = async (msChildId, grantId) => {
+        this.setState({ loading: true, error: null, success: null });
+
+        try {
+            const [error] = await window.ipcRenderer.invoke('msFamily.revokeGrant', { msChildId, grantId });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({ success: 'Extra time removed', loading: false });
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleOpenSchedule = async (child) => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.getSchedule', {
+                msChildId: child.id
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            // One editable row per weekday; null means blocked all day
+            const days = WEEKDAYS.reduce((acc, day) => {
+                const window = result.schedule[day];
+                acc[day] = window
+                    ? { allowed: true, start: window.start, end: window.end }
+                    : { allowed: false, start: '07:00', end: '20:00' };
+                return acc;
+            }, {});
+
+            this.setState({
+                scheduleEditor: {
+                    msChildId: child.id,
+                    name: child.name,
+                    days,
+                    source: result.source,
+                    widened: result.widened,
+                    skipped: result.skipped || [],
+                    allow2Available: result.allow2Available,
+                    lastError: result.lastError
+                },
+                loading: false
+            });
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleScheduleDayChange = (day, changes) => {
+        const { scheduleEditor } = this.state;
+
+        this.setState({
+            scheduleEditor: {
+                ...scheduleEditor,
+                days: {
+                    ...scheduleEditor.days,
+                    [day]: { ...scheduleEditor.days[day], ...changes }
+                }
+            }
+        });
+    };
+
+    handleSaveSchedule = async (followAllow2 = false) => {
+        const { scheduleEditor } = this.state;
+        this.setState({ loading: true, error: null });
+
+        const schedule = followAllow2 ? null : WEEKDAYS.reduce((acc, day) => {
+            const row = scheduleEditor.days[day];
+            acc[day] = row.allowed ? { start: row.start, end: row.end } : null;
+            return acc;
+        }, {});
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.setSchedule', {
+                msChildId: scheduleEditor.msChildId,
+                schedule
+            });
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                scheduleEditor: null,
+                success: result.source === 'manual'
+                    ? `Allowed hours updated for ${scheduleEditor.name}`
+                    : `${scheduleEditor.name}'s allowed hours now follow Allow2`,
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    handleSyncNow = async () => {
+        this.setState({ loading: true, error: null });
+
+        try {
+            const [error, result] = await window.ipcRenderer.invoke('msFamily.syncNow');
+
+            if (error) {
+                this.setState({ error: error.message, loading: false });
+                return;
+            }
+
+            this.setState({
+                lastSync: result.syncTime,
+                success: 'Quotas synced successfully!',
+                loading: false
+            });
+
+            this.loadStatus();
+
+        } catch (error) {
+            this.setState({ error: error.message, loading: false });
+        }
+    };
+
+    formatTime = (timestamp) => {
+        if (!timestamp) return 'Never';
+        return new Date(timestamp).toLocaleString();
+    };
+
+    renderVerificationChip = (msChildId) => {
+        const record = this.state.verification[msChildId];
+        if (!record) return null;
+
+        const labels = {
+            pending: 'Applying',
+            confirmed: 'Confirmed',
+            diverged: 'Not applied'
+        };
+        const colors = {
+            pending: 'default',
+            confirmed: 'primary',
+            diverged: 'secondary'
+        };
+
+        return (
+            <Chip
+                size="small"
+                label={`${record.expectedLimit} min · ${labels[record.status] || record.status}`}
+                color={colors[record.status] || 'default'}
+                title={record.error || `Last checked: ${this.formatTime(record.checkedAt)}`}
+                style={{ marginRight: 8 }}
+            />
+        );
+    };
+
+    describeNextSync = (msChildId) => {
+        const entry = this.state.schedule[msChildId];
+        if (!entry) return null;
+
+        const reasons = {
+            exhaustion: 'before time runs out',
+            aggressive: 'low on time',
+            resume: 'catching up',
+            retry: 'retrying'
+        };
+        const time = new Date(entry.nextRunAt).toLocaleTimeString();
+
+        return reasons[entry.reason] ? `Next sync: ${time} (${reasons[entry.reason]})` : `Next sync: ${time}`;
+    };
+
+    describeTarget = (target, devices) => {
+        const [kind, value] = target.split(/:(.*)/);
+        if (kind === 'class') {
+            return DEVICE_CLASS_LABELS[value] || value;
+        }
+        const device = devices.find(d => d.id === value);
+        return device ? device.name : 'Removed device';
+    };
+
+    describeActivity = (activityId) => {
+        const activity = this.state.activities.find(a => a.id === activityId);
+        return activity ? activity.name : `activity ${activityId}`;
+    };
+
+    renderDevices = (child, isLinked) => {
+        const { enforcement, activityMappings, activities, loading } = this.state;
+        const devices = child.devices || [];
+        if (devices.length === 0) return null;
+
+        const targets = (enforcement[child.id] && enforcement[child.id].targets) || [];
+        const mapping = activityMappings[child.id] || {};
+        const classes = Object.keys(DEVICE_CLASS_LABELS).filter(type => devices.some(d => d.type === type));
+
+        return (
+            <Box pl={9} pr={2} pb={2}>
+                {devices.map(device => (
+                    <Typography key={device.id} variant="body2" color="textSecondary">
+                        {device.name} ({DEVICE_CLASS_LABELS[device.type] || device.type})
+                        {' · '}
+                        {typeof device.dailyLimit === 'number' && device.enabled
+                            ? `Limit ${device.dailyLimit} min, used ${device.todayUsage} min`
+                            : `No device limit, used ${device.todayUsage} min`}
+                        {device.lastSeen ? ` · Last seen ${this.formatTime(device.lastSeen)}` : ''}
+                    </Typography>
+                ))}
+
+                {isLinked && (
+                    <FormControl style={{ minWidth: 280, marginTop: 8 }}>
+                        <InputLabel>Enforce on</InputLabel>
+                        <Select
+                            multiple
+                            displayEmpty
+                            value={targets}
+                            onChange={(e) => this.handleEnforcementChange(child.id, e.target.value)}
+                            renderValue={(selected) => selected.length === 0
+                                ? 'Whole account'
+                                : selected.map(target => this.describeTarget(target, devices)).join(', ')}
+                            disabled={loading}
+                        >
+                            {classes.map(type => (
+                                <MenuItem key={`class:${type}`} value={`class:${type}`}>
+                                    All {DEVICE_CLASS_LABELS[type]}
+                                </MenuItem>
+                            ))}
+                            {devices.map(device => (
+                                <MenuItem key={`device:${device.id}`} value={`device:${device.id}`}>
+                                    {device.name}
+                                </MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                )}
+
+                {isLinked && activities.length > 0 && (
+                    <Box mt={1}>
+                        {classes.map(type => (
+                            <FormControl key={type} style={{ minWidth: 180, marginRight: 16, marginTop: 8 }}>
+                                <InputLabel>{DEVICE_CLASS_LABELS[type]} use</InputLabel>
+                                <Select
+                                    displayEmpty
+                                    value={mapping[type] || ''}
+                                    onChange={(e) => this.handleActivityMappingChange(child.id, type, e.target.value)}
+                                    disabled={loading}
+                                >
+                                    <MenuItem value="">Main limit</MenuItem>
+                                    {activities.map(activity => (
+                                        <MenuItem key={activity.id} value={activity.id}>
+                                            Allow2 {activity.name}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        ))}
+                    </Box>
+                )}
+            </Box>
+        );
+    };
+
+    renderAppEditor = () => {
+        const { appEditor, activities, loading } = this.state;
+        if (!appEditor) return null;
+
+        return (
+            <Dialog open onClose={() => this.setState({ appEditor: null })} maxWidth="md" fullWidth>
+                <DialogTitle>Apps & Games - {appEditor.name}</DialogTitle>
+                <DialogContent>
+                    {appEditor.apps.length === 0 && (
+                        <Typography color="textSecondary">
+                            No apps or games have been reported for this child yet.
+                        </Typography>
+                    )}
+
+                    {appEditor.apps.map(app => {
+                        const rule = appEditor.rules[app.id];
+
+                        return (
+                            <Box key={app.id} display="flex" alignItems="center" mb={2}>
+                                <Box flexGrow={1}>
+                                    <Typography>
+                                        {app.name}{' '}
+                                        <Chip label={app.type === 'game' ? 'Game' : 'App'} size="small" />
+                                    </Typography>
+                                    <Typography variant="body2" color="textSecondary">
+                                        Used {app.todayUsage} min today
+                                        {app.lastUsed ? ` · Last used ${this.formatTime(app.lastUsed)}` : ''}
+                                    </Typography>
+                                </Box>
+                                <TextField
+                                    type="number"
+                                    label="Daily limit (min)"
+                                    placeholder="None"
+                                    value={appEditor.limits[app.id]}
+                                    onChange={(e) => this.setState({
+                                        appEditor: {
+                                            ...appEditor,
+                                            limits: { ...appEditor.limits, [app.id]: e.target.value }
+                                        }
+                                    })}
+                                    onBlur={() => {
+                                        const saved = app.dailyLimit === null ? '' : String(app.dailyLimit);
+                                        if (appEditor.limits[app.id] !== saved) this.handleAppLimitSave(app);
+                                    }}
+                                    inputProps={{ min: 0, max: 1440 }}
+                                    disabled={loading}
+                                    style={{ width: 130, marginRight: 16 }}
+                                />
+                                <FormControl style={{ minWidth: 200, marginRight: 16 }}>
+                                    <InputLabel>Block when used up</InputLabel>
+                                    <Select
+                                        displayEmpty
+                                        value={rule ? rule.activity : ''}
+                                        onChange={(e) => this.handleAppChange('msFamily.setAppRule', {
+                                            appId: app.id,
+                                            activity: e.target.value === '' ? null : e.target.value
+                                        }, e.target.value === ''
+                                            ? `${app.name} is no longer blocked by Allow2`
+                                            : `${app.name} is blocked when Allow2 ${this.describeActivity(e.target.value)} runs out`)}
+                                        disabled={loading}
+                                    >
+                                        <MenuItem value="">Never</MenuItem>
+                                        {activities.map(activity => (
+                                            <MenuItem key={activity.id} value={activity.id}>
+                                                Allow2 {activity.name}
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={app.blocked}
+                                            onChange={(e) => this.handleAppChange('msFamily.blockApp', {
+                                                appId: app.id,
+                                                blocked: e.target.checked
+                                            }, `${app.name} ${e.target.checked ? 'blocked' : 'allowed'}`)}
+                                            disabled={loading}
+                                        />
+                                    }
+                                    label={app.blocked ? 'Blocked' : 'Allowed'}
+                                />
+                            </Box>
+                        );
+                    })}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.setState({ appEditor: null })} disabled={loading}>
+                        Close
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
+    };
+
+    renderSiteList = (list, label) => {
+        const { webEditor, loading } = this.state;
+
+        return (
+            <Box mb={2}>
+                <Typography variant="subtitle2" gutterBottom>{label}</Typography>
+                <Box mb={1}>
+                    {webEditor[list].length === 0 && (
+                        <Typography variant="body2" color="textSecondary">None</Typography>
+                    )}
+                    {webEditor[list].map(site => (
+                        <Chip
+                            key={site}
+                            label={site}
+                            size="small"
+                            onDelete={() => this.handleWebFilterChange({
+                                [list]: webEditor[list].filter(entry => entry !== site)
+                            })}
+                            style={{ marginRight: 4, marginBottom: 4 }}
+                        />
+                    ))}
+                </Box>
+                <Box display="flex" alignItems="center">
+                    <TextField
+                        placeholder="example.com"
+                        value={webEditor.newSite[list]}
+                        onChange={(e) => this.handleWebFilterChange({
+                            newSite: { ...webEditor.newSite, [list]: e.target.value }
+                        })}
+                        onKeyPress={(e) => e.key === 'Enter' && this.handleAddSite(list)}
+                        disabled={loading}
+                        style={{ marginRight: 8 }}
+                    />
+                    <Button size="small" onClick={() => this.handleAddSite(list)} disabled={loading}>
+                        Add
+                    </Button>
+                </Box>
+            </Box>
+        );
+    };
+
+    renderWebFilterEditor = () => {
+        const { webEditor, loading } = this.state;
+        if (!webEditor) return null;
+
+        return (
+            <Dialog open onClose={() => this.setState({ webEditor: null })} maxWidth="sm" fullWidth>
+                <DialogTitle>Web Filter - {webEditor.name}</DialogTitle>
+                <DialogContent>
+                    {webEditor.restriction && (
+                        <Box mb={2}>
+                            <Alert severity="info">
+                                Browsing is limited to the allowed sites by an automation since{' '}
+                                {this.formatTime(webEditor.restriction.since)}. The switches below apply once it is lifted.
+                            </Alert>
+                        </Box>
+                    )}
+
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={webEditor.enabled}
+                                onChange={(e) => this.handleWebFilterChange({ enabled: e.target.checked })}
+                            />
+                        }
+                        label="Filter inappropriate websites and searches"
+                    />
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={webEditor.allowListOnly}
+                                disabled={!webEditor.enabled}
+                                onChange={(e) => this.handleWebFilterChange({ allowListOnly: e.target.checked })}
+                            />
+                        }
+                        label="Only allow these websites"
+                    />
+
+                    <Box mt={2}>
+                        {this.renderSiteList('allowedSites', 'Always allowed')}
+                        {this.renderSiteList('blockedSites', 'Always blocked')}
+                    </Box>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.setState({ webEditor: null })} disabled={loading}>
+                        Cancel
+                    </Button>
+                    <Button color="primary" variant="contained" onClick={this.handleSaveWebFilter} disabled={loading}>
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
+    };
+
+    renderTimeRequests = () => {
+        const { timeRequests, extensionsAvailable, grantMinutes, loading } = this.state;
+
+        return (
+            <Card>
+                <CardContent>
+                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                        <Typography variant="h6" gutterBottom>
+                            Time Requests
+                        </Typography>
+                        <IconButton onClick={this.handleRefreshRequests} disabled={loading}>
+                            <RefreshIcon />
+                        </IconButton>
+                    </Box>
+
+                    {timeRequests.length === 0 && (
+                        <Typography variant="body2" color="textSecondary">
+                            No one is asking for more time.
+                        </Typography>
+                    )}
+
+                    {timeRequests.some(request => request.allow2ChildId) && !extensionsAvailable && (
+                        <Box mb={2}>
+                            <Alert severity="warning">
+                                This Allow2Automate version cannot add time in Allow2, so requests from
+                                linked children can only be declined here.
+                            </Alert>
+                        </Box>
+                    )}
+
+                    <List>
+                        {timeRequests.map(request => {
+                            const approvable = extensionsAvailable || !request.allow2ChildId;
+
+                            return (
+                                <ListItem key={request.id}>
+                                    <ListItemText
+                                        primary={`${request.childName} wants ${request.minutes} more minutes`}
+                                        secondary={[
+                                            request.deviceName,
+                                            request.message && `"${request.message}"`,
+                                            this.formatTime(request.createdAt || request.receivedAt)
+                                        ].filter(Boolean).join(' · ')}
+                                    />
+                                    <TextField
+                                        type="number"
+                                        label="Minutes"
+                                        value={grantMinutes[request.id] ?? String(request.minutes)}
+                                        onChange={(e) => this.setState({
+                                            grantMinutes: { ...grantMinutes, [request.id]: e.target.value }
+                                        })}
+                                        inputProps={{ min: 1, max: 1440 }}
+                                        disabled={loading || !approvable}
+                                        style={{ width: 90, marginRight: 8 }}
+                                    />
+                                    <Button
+                                        variant="contained"
+                                        color="primary"
+                                        onClick={() => this.handleRespondRequest(request, true)}
+                                        disabled={loading || !approvable}
+                                        style={{ marginRight: 8 }}
+                                    >
+                                        Approve
+                                    </Button>
+                                    <Button
+                                        variant="outlined"
+                                        onClick={() => this.handleRespondRequest(request, false)}
+                                        disabled={loading}
+                                    >
+                                        Deny
+                                    </Button>
+                                </ListItem>
+                            );
+                        })}
+                    </List>
+                </CardContent>
+            </Card>
+        );
+    };
+
+    formatCountdown = (expiresAt) => {
+        const seconds = Math.max(0, Math.round((expiresAt - this.state.now) / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+            : `${minutes}:${pad(seconds % 60)}`;
+    };
+
+    formatDay = (date, options = { weekday: 'short' }) => {
+        return new Date(`${date}T00:00:00`).toLocaleDateString([], options);
+    };
+
+    describeUsageTrend = (summary, previous) => {
+        if (previous.days === 0 || previous.averageMinutes === 0) return null;
+
+        const change = Math.round((summary.averageMinutes - previous.averageMinutes) / previous.averageMinutes * 100);
+        return `${change >= 0 ? '+' : ''}${change}% on the week before`;
+    };
+
+    renderUsageChart = (days) => {
+        const max = Math.max(60, ...days.map(day => Math.max(day.usageMinutes || 0, day.quotaMinutes || 0)));
+        const height = (minutes) => `${Math.round((minutes || 0) / max * 100)}%`;
+
+        return (
+            <Box display="flex" mb={2}>
+                {days.map(day => {
+                    const over = day.samples > 0 && day.usageMinutes > day.quotaMinutes;
+
+                    return (
+                        <Box key={day.date} flex={1} mx={0.5} textAlign="center">
+                            <Tooltip
+                                title={day.samples > 0
+                                    ? `${day.usageMinutes} min used of ${day.quotaMinutes} allowed`
+                                    : 'No data'}
+                            >
+                                <Box display="flex" alignItems="flex-end" justifyContent="center" height={120}>
+                                    <Box width="35%" height={height(day.quotaMinutes)} bgcolor="grey.300" mr={0.5} />
+                                    <Box width="35%" height={height(day.usageMinutes)} bgcolor={over ? 'error.main' : 'primary.main'} />
+                                </Box>
+                            </Tooltip>
+                            <Typography variant="caption" color="textSecondary">
+                                {this.formatDay(day.date)}
+                            </Typography>
+                        </Box>
+                    );
+                })}
+            </Box>
+        );
+    };
+
+    describeUsageReport = (msChildId) => {
+        const report = this.state.usageReports[msChildId];
+        if (!report || report.baseline) return null;
+
+        const minutes = Object.values(report.reported).reduce((total, value) => total + value, 0);
+        const today = new Date().toDateString() === new Date(`${report.date}T00:00:00`).toDateString();
+
+        return [
+            `${today ? minutes : 0} minutes reported to Allow2 today`,
+            report.lastError && `last report failed: ${report.lastError}`
+        ].filter(Boolean).join(' - ');
+    };
+
+    renderUsageHistory = () => {
+        const { usage, usageChild, children, childLinks, reportUsage, usageReporting, loading } = this.state;
+        const linked = children.filter(child => childLinks[child.id]);
+
+        return (
+            <Card>
+                <CardContent>
+                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                        <Typography variant="h6" gutterBottom>
+                            Usage This Week
+                        </Typography>
+                        <Box display="flex" alignItems="center">
+                            <FormControl style={{ minWidth: 160 }}>
+                                <Select value={usageChild} onChange={(e) => this.loadUsage(e.target.value)}>
+                                    {linked.map(child => (
+                                        <MenuItem key={child.id} value={child.id}>{child.name}</MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <IconButton onClick={() => this.loadUsage(usageChild)} disabled={!usageChild}>
+                                <RefreshIcon />
+                            </IconButton>
+                        </Box>
+                    </Box>
+
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={usageReporting && reportUsage}
+                                onChange={(e) => this.handleUsageReportingChange(e.target.checked)}
+                                disabled={loading || !usageReporting}
+                            />
+                        }
+                        label="Count Microsoft use against Allow2 quotas"
+                    />
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        {usageReporting
+                            ? (reportUsage && this.describeUsageReport(usageChild))
+                                || 'Xbox and PC time is taken off the Allow2 balance - mapped device types count against their activity.'
+                            : 'This Allow2Automate version cannot record usage in Allow2.'}
+                    </Typography>
+
+                    {usage && usage.msChildId === usageChild && (
+                        <React.Fragment>
+                            <Typography variant="body2" color="textSecondary" paragraph>
+                                Microsoft-measured use (blue) against the Allow2 quota (grey), from each sync.
+                                {' '}{[
+                                    `${usage.summary.usageMinutes} of ${usage.summary.quotaMinutes} minutes used`,
+                                    `${usage.summary.averageMinutes} min a day on average`,
+                                    this.describeUsageTrend(usage.summary, usage.previous)
+                                ].filter(Boolean).join(' · ')}
+                            </Typography>
+
+                            {usage.summary.daysOver > 0 && (
+                                <Box mb={2}>
+                                    <Alert severity="warning">
+                                        Microsoft measured {usage.summary.overMinutes} minutes beyond the Allow2 quota
+                                        on {usage.summary.daysOver} day{usage.summary.daysOver === 1 ? '' : 's'} - limits
+                                        may be reaching devices late.
+                                    </Alert>
+                                </Box>
+                            )}
+
+                            {this.renderUsageChart(usage.days)}
+
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Day</TableCell>
+                                        <TableCell align="right">Used</TableCell>
+                                        <TableCell align="right">Allow2 quota</TableCell>
+                                        <TableCell align="right">Microsoft limit</TableCell>
+                                        <TableCell>By device</TableCell>
+                                        <TableCell>Status</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {[...usage.days].reverse().map(day => (
+                                        <TableRow key={day.date}>
+                                            <TableCell>
+                                                {this.formatDay(day.date, { weekday: 'short', day: 'numeric', month: 'short' })}
+                                            </TableCell>
+                                            <TableCell align="right">{day.samples > 0 ? `${day.usageMinutes} min` : '-'}</TableCell>
+                                            <TableCell align="right">{day.samples > 0 ? `${day.quotaMinutes} min` : '-'}</TableCell>
+                                            <TableCell align="right">{day.limitMinutes !== null ? `${day.limitMinutes} min` : '-'}</TableCell>
+                                            <TableCell>
+                                                {Object.entries(day.byClass)
+                                                    .filter(([, minutes]) => minutes > 0)
+                                                    .map(([deviceClass, minutes]) => `${DEVICE_CLASS_NAMES[deviceClass] || deviceClass} ${minutes} min`)
+                                                    .join(', ') || '-'}
+                                            </TableCell>
+                                            <TableCell>
+                                                {day.samples === 0 ? 'No data'
+                                                    : day.usageMinutes > day.quotaMinutes
+                                                        ? `Over by ${day.usageMinutes - day.quotaMinutes} min`
+                                                        : 'Within quota'}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </React.Fragment>
+                    )}
+                </CardContent>
+            </Card>
+        );
+    };
+
+    describeAuditEntry = (entry) => {
+        const minutes = (value) => value === null || value === undefined ? 'unlimited' : `${value} min`;
+
+        switch (`${entry.type}:${entry.action}`) {
+            case 'sync:pushed':
+                return [
+                    `Pushed ${minutes(entry.limit)}`,
+                    entry.strategy || entry.trigger,
+                    `Allow2 ${entry.allow2Minutes} min left, ${entry.usageMinutes} min used`,
+                    entry.locked && 'locked',
+                    entry.disabled && !entry.locked && 'disabled'
+                ].filter(Boolean).join(' · ');
+            case 'sync:simulated':
+                return [
+                    `Dry run - would have pushed ${minutes(entry.limit)}`,
+                    entry.strategy || entry.trigger,
+                    `Allow2 ${entry.allow2Minutes} min left, ${entry.usageMinutes} min used`
+                ].join(' · ');
+            case 'sync:skipped':
+                return `No change needed · Allow2 ${entry.allow2Minutes} min left` +
+                    (entry.currentLimit !== null ? ` · limit ${entry.currentLimit} min` : '');
+            case 'sync:held':
+                return `Kept the Microsoft Family app's limit of ${minutes(entry.externalLimit)}`;
+            case 'sync:noQuota':
+                return 'Allow2 returned no quota';
+            case 'sync:failed':
+                return 'Sync failed';
+            default:
+                break;
+        }
+
+        if (entry.type === 'action') {
+            const { msChildId, allow2ChildId, ...params } = entry.params || {};
+            const shown = Object.keys(params).length > 0 ? ` ${JSON.stringify(params)}` : '';
+            return `${entry.action}${shown}${entry.source === 'automation' ? ' (automation)' : ''}`;
+        }
+        if (entry.type === 'timeRequest') {
+            return `Request for ${minutes(entry.requestedMinutes)} ${entry.action}` +
+                (entry.action === 'approved' ? ` (${minutes(entry.grantedMinutes)} given)` : '');
+        }
+        if (entry.type === 'grant') {
+            return `Extra time ${entry.action}: ${minutes(entry.minutes)}`;
+        }
+        if (entry.type === 'lock') {
+            return `${entry.scope === 'family' ? 'Family' : 'Child'} lock ${entry.action}` +
+                (entry.action === 'locked' ? ` ${this.describeLockEnd(entry.until)}` : '');
+        }
+        return entry.action;
+    };
+
+    renderAuditLog = () => {
+        const { auditLog, auditFilter, exportPath, children, loading } = this.state;
+        const childName = (entry) => {
+            const child = children.find(c => c.id === entry.msChildId);
+            return child ? child.name : (entry.msChildId || entry.allow2ChildId || 'Family');
+        };
+        const update = (changes) => this.loadAuditLog({ ...auditFilter, ...changes });
+
+        return (
+            <Card>
+                <CardContent>
+                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                        <Typography variant="h6" gutterBottom>
+                            Activity Log
+                        </Typography>
+                        <IconButton onClick={() => this.loadAuditLog()}>
+                            <RefreshIcon />
+                        </IconButton>
+                    </Box>
+
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        Every sync decision and change, with what Allow2 reported and what was sent to Microsoft.
+                    </Typography>
 
-        // Get Allow2 children
-        if (this.props.allow2Children) {
-            this.setState({ allow2Children: this.props.allow2Children });
-        }
-    }
+                    <Box display="flex" flexWrap="wrap" alignItems="flex-end" mb={2}>
+                        <FormControl style={{ minWidth: 160, marginRight: 16 }}>
+                            <InputLabel shrink>Child</InputLabel>
+                            <Select value={auditFilter.msChildId} onChange={(e) => update({ msChildId: e.target.value })} displayEmpty>
+                                <MenuItem value="">Everyone</MenuItem>
+                                {children.map(child => (
+                                    <MenuItem key={child.id} value={child.id}>{child.name}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <FormControl style={{ minWidth: 160, marginRight: 16 }}>
+                            <InputLabel shrink>Type</InputLabel>
+                            <Select value={auditFilter.type} onChange={(e) => update({ type: e.target.value })} displayEmpty>
+                                <MenuItem value="">Everything</MenuItem>
+                                {Object.entries(AUDIT_TYPES).map(([type, label]) => (
+                                    <MenuItem key={type} value={type}>{label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <TextField
+                            label="Search"
+                            value={auditFilter.search}
+                            onChange={(e) => update({ search: e.target.value })}
+                        />
+                    </Box>
 
-    loadStatus = async () => {
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.getStatus');
+                    {auditLog.entries.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary">
+                            Nothing recorded yet.
+                        </Typography>
+                    ) : (
+                        <Box maxHeight={400} overflow="auto">
+                            <Table size="small" stickyHeader>
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Time</TableCell>
+                                        <TableCell>Child</TableCell>
+                                        <TableCell>Type</TableCell>
+                                        <TableCell>What happened</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {auditLog.entries.map((entry, index) => (
+                                        <TableRow key={`${entry.timestamp}-${index}`}>
+                                            <TableCell style={{ whiteSpace: 'nowrap' }}>{this.formatTime(entry.timestamp)}</TableCell>
+                                            <TableCell>{childName(entry)}</TableCell>
+                                            <TableCell>{AUDIT_TYPES[entry.type] || entry.type}</TableCell>
+                                            <TableCell>
+                                                {this.describeAuditEntry(entry)}
+                                                {entry.error && (
+                                                    <Typography variant="body2" color="error">{entry.error}</Typography>
+                                                )}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </Box>
+                    )}
 
-            if (error) {
-                this.setState({ error: error.message });
-                return;
-            }
+                    {auditLog.total > auditLog.entries.length && (
+                        <Typography variant="caption" color="textSecondary">
+                            Showing the latest {auditLog.entries.length} of {auditLog.total} - export to see them all.
+                        </Typography>
+                    )}
 
-            this.setState({
-                authenticated: result.authenticated,
-                children: Object.values(result.children || {}),
-                childLinks: result.childLinks || {},
-                quotaState: result.quotaState || {},
-                lastSync: result.lastSync,
-                tokenExpiry: result.tokenExpiry
-            });
+                    <Box display="flex" alignItems="flex-end" mt={2}>
+                        <TextField
+                            label="Export to"
+                            value={exportPath}
+                            onChange={(e) => this.setState({ exportPath: e.target.value })}
+                            style={{ flex: 1, marginRight: 16 }}
+                        />
+                        <Button
+                            variant="outlined"
+                            onClick={() => this.handleExportAuditLog('csv')}
+                            disabled={loading || !exportPath}
+                            style={{ marginRight: 8 }}
+                        >
+                            Export CSV
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            onClick={() => this.handleExportAuditLog('json')}
+                            disabled={loading || !exportPath}
+                        >
+                            Export JSON
+                        </Button>
+                    </Box>
+                </CardContent>
+            </Card>
+        );
+    };
 
-        } catch (error) {
-            this.setState({ error: error.message });
+    describeLockEnd = (until) => {
+        if (until === null) return 'until unlocked';
+        if (new Date(until).toDateString() === new Date().toDateString()) {
+            return `until ${new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
         }
+        return `until ${this.formatTime(until)}`;
     };
 
-    handleAuthenticate = async () => {
-        this.setState({ loading: true, error: null, success: null });
+    renderDryRunChip = (msChildId) => {
+        const { dryRun, dryRunChildren } = this.state;
+        if (!dryRun && !dryRunChildren[msChildId]) return null;
 
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.authenticate');
+        return <Chip icon={<DryRunIcon />} label="Dry run" size="small" style={{ marginRight: 8 }} />;
+    };
 
-            if (error) {
-                this.setState({ error: error.message, loading: false });
-                return;
-            }
+    describeDryRunEntry = (entry) => {
+        const child = this.state.children.find(c => c.id === entry.msChildId);
+        const name = child ? child.name : entry.msChildId;
+        const at = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-            this.setState({
-                authenticated: true,
-                success: 'Successfully authenticated with Microsoft!',
-                loading: false,
-                tokenExpiry: result.expiresAt
-            });
+        switch (entry.call) {
+            case 'setScreenTimeLimit':
+                return `Would have set ${name} to ${entry.minutes} minutes at ${at}`;
+            case 'setDeviceScreenTimeLimit':
+                return `Would have set ${name}'s ${entry.deviceName} to ${entry.minutes} minutes at ${at}`;
+            case 'setAppBlocked':
+                return `Would have ${entry.blocked ? 'blocked' : 'allowed'} ${entry.appName} for ${name} at ${at}`;
+            case 'setSchedule':
+                return `Would have changed ${name}'s allowed hours at ${at}`;
+            case 'setWebFilter':
+                return entry.allowListOnly
+                    ? `Would have limited ${name}'s browsing to the allow list at ${at}`
+                    : `Would have put ${name}'s browsing back at ${at}`;
+            case 'trigger':
+                return `Would have fired ${DRY_RUN_TRIGGERS[entry.triggerId] || entry.triggerId} for ${name} at ${at}`;
+            case 'logUsage':
+                return `Would have reported ${entry.minutes} minutes of ${name}'s use to Allow2 at ${at}`;
+            default:
+                return `Would have called ${entry.call} for ${name} at ${at}`;
+        }
+    };
 
-            // Load children after authentication
-            setTimeout(() => this.handleGetChildren(), 1000);
+    describeDryRunCause = (entry) => {
+        const today = new Date(entry.timestamp).toDateString() === new Date().toDateString();
 
-        } catch (error) {
-            this.setState({ error: error.message, loading: false });
-        }
+        return [
+            DRY_RUN_CAUSES[entry.cause] || entry.cause,
+            entry.strategy,
+            typeof entry.currentLimit === 'number' && `Microsoft limit ${entry.currentLimit} min`,
+            !today && new Date(entry.timestamp).toLocaleDateString()
+        ].filter(Boolean).join(' · ');
     };
 
-    handleGetChildren = async () => {
-        this.setState({ loading: true, error: null });
+    renderDryRun = () => {
+        const { dryRun, dryRunChildren, dryRunLog, children, childLinks, loading } = this.state;
+        const linked = children.filter(child => childLinks[child.id]);
 
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.getChildren');
+        return (
+            <Card>
+                <CardContent>
+                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                        <Typography variant="h6" gutterBottom>
+                            Dry Run
+                        </Typography>
+                        <Box display="flex" alignItems="center">
+                            <Button
+                                size="small"
+                                onClick={this.handleClearDryRunLog}
+                                disabled={loading || dryRunLog.total === 0}
+                            >
+                                Clear
+                            </Button>
+                            <IconButton onClick={this.loadDryRunLog}>
+                                <RefreshIcon />
+                            </IconButton>
+                        </Box>
+                    </Box>
 
-            if (error) {
-                this.setState({ error: error.message, loading: false });
-                return;
-            }
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        Syncs, locks and automations decide as usual but only record the limits they would
+                        have sent to Microsoft. Changes you make yourself still apply.
+                    </Typography>
 
-            this.setState({
-                children: result.children || [],
-                loading: false
-            });
+                    <Box display="flex" flexWrap="wrap" mb={1}>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={dryRun}
+                                    onChange={(e) => this.handleDryRunChange(null, e.target.checked)}
+                                    disabled={loading}
+                                />
+                            }
+                            label="Every child"
+                        />
+                        {linked.map(child => (
+                            <FormControlLabel
+                                key={child.id}
+                                control={
+                                    <Switch
+                                        checked={dryRun || !!dryRunChildren[child.id]}
+                                        onChange={(e) => this.handleDryRunChange(child.id, e.target.checked)}
+                                        disabled={loading || dryRun}
+                                    />
+                                }
+                                label={child.name}
+                            />
+                        ))}
+                    </Box>
 
-        } catch (error) {
-            this.setState({ error: error.message, loading: false });
-        }
+                    {dryRunLog.entries.length === 0 ? (
+                        <Typography variant="body2" color="textSecondary">
+                            Nothing recorded yet.
+                        </Typography>
+                    ) : (
+                        <List dense>
+                            {dryRunLog.entries.map(entry => (
+                                <ListItem
+                                    key={`${entry.timestamp}-${entry.msChildId}-${entry.call}-${entry.deviceId || entry.appId || ''}`}
+                                    divider
+                                >
+                                    <ListItemText
+                                        primary={this.describeDryRunEntry(entry)}
+                                        secondary={this.describeDryRunCause(entry)}
+                                    />
+                                </ListItem>
+                            ))}
+                        </List>
+                    )}
+
+                    {dryRunLog.total > dryRunLog.entries.length && (
+                        <Typography variant="caption" color="textSecondary">
+                            Showing the latest {dryRunLog.entries.length} of {dryRunLog.total}
+                        </Typography>
+                    )}
+                </CardContent>
+            </Card>
+        );
     };
 
-    handleLinkChild = async (msChildId) => {
-        const allow2ChildId = this.state.selectedAllow2Child[msChildId];
+    renderSettings = () => {
+        const { settings, settingsSchema, settingsDraft, settingsProblems, loading } = this.state;
+        const draft = settingsDraft || this.toSettingsDraft(settings, settingsSchema);
+        const problemFor = (key) => settingsProblems.find(problem => problem.key === key);
+        const update = (key, value) => this.setState({
+            settingsDraft: { ...draft, [key]: value },
+            settingsProblems: settingsProblems.filter(problem => problem.key !== key)
+        });
 
-        if (!allow2ChildId) {
-            this.setState({ error: 'Please select an Allow2 child to link' });
-            return;
-        }
+        return (
+            <Card>
+                <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                        Settings
+                    </Typography>
 
-        this.setState({ loading: true, error: null });
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        Changes apply as soon as they are saved. Numbers outside the allowed range are adjusted to fit.
+                    </Typography>
 
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.linkChild', {
-                msChildId,
-                allow2ChildId
-            });
+                    <Grid container spacing={2}>
+                        {Object.entries(settingsSchema)
+                            .filter(([key]) => !SETTINGS_ELSEWHERE.includes(key))
+                            .map(([key, field]) => {
+                                const problem = problemFor(key);
 
-            if (error) {
-                this.setState({ error: error.message, loading: false });
-                return;
-            }
+                                if (field.type === 'boolean') {
+                                    return (
+                                        <Grid item xs={12} key={key}>
+                                            <FormControlLabel
+                                                control={
+                                                    <Switch
+                                                        checked={!!draft[key]}
+                                                        onChange={(e) => update(key, e.target.checked)}
+                                                        disabled={loading}
+                                                    />
+                                                }
+                                                label={field.label}
+                                            />
+                                            {problem && (
+                                                <Typography variant="caption" color="error" display="block">
+                                                    {problem.message}
+                                                </Typography>
+                                            )}
+                                        </Grid>
+                                    );
+                                }
 
-            // Update local state
-            const childLinks = { ...this.state.childLinks };
-            childLinks[msChildId] = allow2ChildId;
+                                if (field.type === 'enum') {
+                                    return (
+                                        <Grid item xs={12} sm={6} key={key}>
+                                            <FormControl fullWidth error={!!problem}>
+                                                <InputLabel>{field.label}</InputLabel>
+                                                <Select
+                                                    value={draft[key]}
+                                                    onChange={(e) => update(key, e.target.value)}
+                                                    disabled={loading}
+                                                >
+                                                    {Object.entries(field.options).map(([value, label]) => (
+                                                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                                                    ))}
+                                                </Select>
+                                            </FormControl>
+                                        </Grid>
+                                    );
+                                }
 
-            this.setState({
-                childLinks,
-                success: 'Child linked successfully!',
-                loading: false
-            });
+                                const scale = field.scale || 1;
+                                const value = draft[key];
+                                const outOfRange = value !== '' && !isNaN(Number(value)) &&
+                                    (Number(value) * scale < field.min || Number(value) * scale > field.max);
 
-        } catch (error) {
-            this.setState({ error: error.message, loading: false });
-        }
-    };
+                                return (
+                                    <Grid item xs={12} sm={6} key={key}>
+                                        <TextField
+                                            fullWidth
+                                            type="number"
+                                            label={`${field.label} (${field.unit})`}
+                                            value={value}
+                                            onChange={(e) => update(key, e.target.value)}
+                                            inputProps={{ min: field.min / scale, max: field.max / scale }}
+                                            error={!!problem || outOfRange || value === ''}
+                                            helperText={problem
+                                                ? problem.message
+                                                : `${field.min / scale} to ${field.max / scale} ${field.unit}`}
+                                            disabled={loading}
+                                        />
+                                    </Grid>
+                                );
+                            })}
+                    </Grid>
 
-    handleUnlinkChild = async (msChildId) => {
-        this.setState({ loading: true, error: null });
+                    {settingsProblems.some(problem => !problem.key || !settingsSchema[problem.key]) && (
+                        <Box mt={2}>
+                            <Alert severity="error">
+                                {settingsProblems
+                                    .filter(problem => !problem.key || !settingsSchema[problem.key])
+                                    .map(problem => problem.message)
+                                    .join('; ')}
+                            </Alert>
+                        </Box>
+                    )}
 
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.unlinkChild', {
-                msChildId
-            });
+                    <Box display="flex" justifyContent="flex-end" mt={2}>
+                        <Button
+                            onClick={() => this.setState({ settingsDraft: null, settingsProblems: [] })}
+                            disabled={loading || !settingsDraft}
+                            style={{ marginRight: 8 }}
+                        >
+                            Reset
+                        </Button>
+                        <Button
+                            variant="contained"
+                            color="primary"
+                            onClick={this.handleSaveSettings}
+                            disabled={loading || !settingsDraft}
+                        >
+                            Save Settings
+                        </Button>
+                    </Box>
+                </CardContent>
+            </Card>
+        );
+    };
 
-            if (error) {
-                this.setState({ error: error.message, loading: false });
-                return;
-            }
+    renderLockChip = (msChildId) => {
+        const { locks, now } = this.state;
+        const active = (lock) => lock && (lock.until === null || lock.until > now);
+        const lock = active(locks.children[msChildId]) ? locks.children[msChildId] : null;
+        const family = active(locks.family) ? locks.family : null;
+        if (!lock && !family) return null;
 
-            // Update local state
-            const childLinks = { ...this.state.childLinks };
-            delete childLinks[msChildId];
+        return (
+            <Chip
+                icon={<LockIcon />}
+                label={lock ? `Locked ${this.describeLockEnd(lock.until)}` : 'Locked with the family'}
+                color="secondary"
+                size="small"
+                style={{ marginRight: 8 }}
+            />
+        );
+    };
 
-            this.setState({
-                childLinks,
-                success: 'Child unlinked successfully!',
-                loading: false
-            });
+    renderFamilyLock = () => {
+        const { locks, childLinks, now, loading } = this.state;
+        const lock = locks.family && (locks.family.until === null || locks.family.until > now) ? locks.family : null;
 
-        } catch (error) {
-            this.setState({ error: error.message, loading: false });
+        if (lock) {
+            return (
+                <Box mb={2}>
+                    <Alert
+                        severity="error"
+                        icon={<LockIcon />}
+                        action={
+                            <Button color="inherit" size="small" onClick={() => this.handleUnlock(null)} disabled={loading}>
+                                Unlock
+                            </Button>
+                        }
+                    >
+                        Every linked child is locked {this.describeLockEnd(lock.until)}. Allow2 time is not given back until the lock is lifted.
+                    </Alert>
+                </Box>
+            );
         }
+
+        if (Object.keys(childLinks).length === 0) return null;
+
+        return (
+            <Box mb={2}>
+                <Button
+                    variant="contained"
+                    color="secondary"
+                    onClick={() => this.setState({ lockEditor: { msChildId: null, name: 'Everyone', duration: '60' } })}
+                    disabled={loading}
+                    startIcon={<LockIcon />}
+                >
+                    Lock Everyone Now
+                </Button>
+            </Box>
+        );
     };
 
-    handleSyncNow = async () => {
-        this.setState({ loading: true, error: null });
+    renderLockEditor = () => {
+        const { lockEditor, loading } = this.state;
+        if (!lockEditor) return null;
 
-        try {
-            const [error, result] = await window.ipcRenderer.invoke('msFamily.syncNow');
+        return (
+            <Dialog open onClose={() => this.setState({ lockEditor: null })} maxWidth="xs" fullWidth>
+                <DialogTitle>Lock {lockEditor.name}</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        {lockEditor.msChildId
+                            ? 'Screen time drops to zero on every device straight away.'
+                            : 'Screen time drops to zero on every linked child\'s devices straight away.'}
+                        {' '}Time added in Allow2 is held back until the lock ends.
+                    </Typography>
+                    <FormControl fullWidth>
+                        <InputLabel>For</InputLabel>
+                        <Select
+                            value={lockEditor.duration}
+                            onChange={(e) => this.setState({ lockEditor: { ...lockEditor, duration: e.target.value } })}
+                        >
+                            <MenuItem value="30">30 minutes</MenuItem>
+                            <MenuItem value="60">1 hour</MenuItem>
+                            <MenuItem value="120">2 hours</MenuItem>
+                            <MenuItem value="midnight">The rest of today</MenuItem>
+                            <MenuItem value="1440">24 hours</MenuItem>
+                            <MenuItem value="10080">1 week</MenuItem>
+                            <MenuItem value="unlocked">Until I unlock</MenuItem>
+                        </Select>
+                    </FormControl>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.setState({ lockEditor: null })} disabled={loading}>
+                        Cancel
+                    </Button>
+                    <Button color="secondary" variant="contained" onClick={this.handleLock} disabled={loading} startIcon={<LockIcon />}>
+                        Lock Now
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
+    };
 
-            if (error) {
-                this.setState({ error: error.message, loading: false });
-                return;
-            }
+    renderGrants = (child) => {
+        const { now, loading } = this.state;
+        const grants = (this.state.grants[child.id] || []).filter(grant => grant.expiresAt > now);
+        if (grants.length === 0) return null;
 
-            this.setState({
-                lastSync: result.syncTime,
-                success: 'Quotas synced successfully!',
-                loading: false
-            });
+        return (
+            <Box pl={9} pr={2} pb={1}>
+                {grants.map(grant => (
+                    <Chip
+                        key={grant.id}
+                        icon={<GrantIcon />}
+                        label={`${grant.minutes === null ? 'Unlimited' : `+${grant.minutes} min`} · ends in ${this.formatCountdown(grant.expiresAt)}`}
+                        onDelete={loading ? undefined : () => this.handleRevokeGrant(child.id, grant.id)}
+                        color="primary"
+                        variant="outlined"
+                        size="small"
+                        style={{ marginRight: 8 }}
+                    />
+                ))}
+            </Box>
+        );
+    };
 
-        } catch (error) {
-            this.setState({ error: error.message, loading: false });
-        }
+    renderGrantEditor = () => {
+        const { grantEditor, loading } = this.state;
+        if (!grantEditor) return null;
+
+        const update = (changes) => this.setState({ grantEditor: { ...grantEditor, ...changes } });
+
+        return (
+            <Dialog open onClose={() => this.setState({ grantEditor: null })} maxWidth="xs" fullWidth>
+                <DialogTitle>Give Time - {grantEditor.name}</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        Extra time on top of Allow2's quota. It is taken away again automatically when it ends.
+                    </Typography>
+                    <FormControlLabel
+                        control={
+                            <Switch
+                                checked={grantEditor.unlimited}
+                                onChange={(e) => update({ unlimited: e.target.checked })}
+                            />
+                        }
+                        label="Unlimited"
+                    />
+                    <Box display="flex" mt={1}>
+                        <TextField
+                            type="number"
+                            label="Extra minutes"
+                            value={grantEditor.minutes}
+                            onChange={(e) => update({ minutes: e.target.value })}
+                            inputProps={{ min: 1, max: 1440 }}
+                            disabled={grantEditor.unlimited}
+                            style={{ marginRight: 16 }}
+                        />
+                        <TextField
+                            type="time"
+                            label="Until"
+                            value={grantEditor.until}
+                            onChange={(e) => update({ until: e.target.value })}
+                            helperText={grantEditor.until ? '' : 'End of day'}
+                            InputLabelProps={{ shrink: true }}
+                        />
+                    </Box>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.setState({ grantEditor: null })} disabled={loading}>
+                        Cancel
+                    </Button>
+                    <Button color="primary" variant="contained" onClick={this.handleSaveGrant} disabled={loading}>
+                        Give Time
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
     };
 
-    formatTime = (timestamp) => {
-        if (!timestamp) return 'Never';
-        return new Date(timestamp).toLocaleString();
+    renderScheduleEditor = () => {
+        const { scheduleEditor, loading } = this.state;
+        if (!scheduleEditor) return null;
+
+        return (
+            <Dialog open onClose={() => this.setState({ scheduleEditor: null })} maxWidth="sm" fullWidth>
+                <DialogTitle>Allowed Hours - {scheduleEditor.name}</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                        {scheduleEditor.source === 'manual'
+                            ? 'Set by hand. Allow2 time blocks are not applied until you switch back.'
+                            : scheduleEditor.allow2Available
+                                ? 'Following Allow2 time blocks. Saving changes here overrides them.'
+                                : 'Allow2 time blocks are not available from this Allow2Automate version.'}
+                    </Typography>
+
+                    {scheduleEditor.widened.length > 0 && (
+                        <Box mb={2}>
+                            <Alert severity="info">
+                                Microsoft Family allows one window per day, so separate Allow2 blocks
+                                on {scheduleEditor.widened.join(', ')} were merged into one.
+                            </Alert>
+                        </Box>
+                    )}
+
+                    {scheduleEditor.skipped.length > 0 && (
+                        <Box mb={2}>
+                            <Alert severity="warning">
+                                The Allow2 time blocks for {scheduleEditor.skipped.join(', ')} could not be
+                                read, so those days were left as they were.
+                            </Alert>
+                        </Box>
+                    )}
+
+                    {scheduleEditor.lastError && (
+                        <Box mb={2}>
+                            <Alert severity="warning">Last update failed: {scheduleEditor.lastError}</Alert>
+                        </Box>
+                    )}
+
+                    {WEEKDAYS.map(day => {
+                        const row = scheduleEditor.days[day];
+
+                        return (
+                            <Box key={day} display="flex" alignItems="center" mb={1}>
+                                <Typography style={{ width: 110, textTransform: 'capitalize' }}>
+                                    {day}
+                                </Typography>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={row.allowed}
+                                            onChange={(e) => this.handleScheduleDayChange(day, { allowed: e.target.checked })}
+                                        />
+                                    }
+                                    label={row.allowed ? 'Allowed' : 'Blocked'}
+                                    style={{ width: 130 }}
+                                />
+                                <TextField
+                                    type="time"
+                                    label="From"
+                                    value={row.start}
+                                    disabled={!row.allowed}
+                                    onChange={(e) => this.handleScheduleDayChange(day, { start: e.target.value })}
+                                    style={{ marginRight: 8 }}
+                                />
+                                <TextField
+                                    type="time"
+                                    label="Until"
+                                    value={row.end === '24:00' ? '23:59' : row.end}
+                                    disabled={!row.allowed}
+                                    onChange={(e) => this.handleScheduleDayChange(day, { end: e.target.value })}
+                                />
+                            </Box>
+                        );
+                    })}
+                </DialogContent>
+                <DialogActions>
+                    {scheduleEditor.allow2Available && (
+                        <Button onClick={() => this.handleSaveSchedule(true)} disabled={loading}>
+                            Follow Allow2
+                        </Button>
+                    )}
+                    <Button onClick={() => this.setState({ scheduleEditor: null })} disabled={loading}>
+                        Cancel
+                    </Button>
+                    <Button color="primary" variant="contained" onClick={() => this.handleSaveSchedule()} disabled={loading}>
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        );
     };
 
     getLinkedAllow2ChildName = (msChildId) => {
@@ -247,9 +2438,21 @@ class TabContent extends Component {
         const {
             loading,
             authenticated,
+            reauthRequired,
+            reauthReason,
             children,
             allow2Children,
             childLinks,
+            conflicts,
+            conflictPolicy,
+            locks,
+            sandboxMode,
+            dryRun,
+            dryRunLog,
+            linkDryRun,
+            settings,
+            settingsSchema,
+            outboxDepth,
             lastSync,
             tokenExpiry,
             error,
@@ -265,13 +2468,70 @@ class TabContent extends Component {
                         <Box display="flex" alignItems="center" justifyContent="space-between">
                             <Typography variant="h4">
                                 Microsoft Family Safety
+                                {sandboxMode && (
+                                    <Chip label="Sandbox" color="secondary" size="small" style={{ marginLeft: 12 }} />
+                                )}
+                                {dryRun && (
+                                    <Chip icon={<DryRunIcon />} label="Dry Run" size="small" style={{ marginLeft: 12 }} />
+                                )}
                             </Typography>
-                            <IconButton onClick={this.loadStatus} disabled={loading}>
-                                <RefreshIcon />
-                            </IconButton>
+                            <Box display="flex" alignItems="center">
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={sandboxMode}
+                                            onChange={(e) => this.handleSandboxModeChange(e.target.checked)}
+                                            disabled={loading}
+                                        />
+                                    }
+                                    label="Sandbox"
+                                />
+                                <IconButton onClick={this.loadStatus} disabled={loading}>
+                                    <RefreshIcon />
+                                </IconButton>
+                            </Box>
                         </Box>
                     </Grid>
 
+                    {/* Sandbox Banner */}
+                    {sandboxMode && (
+                        <Grid item xs={12}>
+                            <Alert severity="info">
+                                Sandbox mode: limits are written to a local Microsoft Family simulator,
+                                not to your real family account.
+                            </Alert>
+                        </Grid>
+                    )}
+
+                    {/* Re-authentication Banner */}
+                    {reauthRequired && (
+                        <Grid item xs={12}>
+                            <Alert
+                                severity="warning"
+                                action={
+                                    <Button
+                                        color="inherit"
+                                        size="small"
+                                        onClick={this.handleAuthenticate}
+                                        disabled={loading}
+                                    >
+                                        Sign in again
+                                    </Button>
+                                }
+                            >
+                                <Typography variant="body2">
+                                    <strong>Microsoft sign-in required.</strong> Screen time limits are not being
+                                    enforced until you sign in again.
+                                </Typography>
+                                {reauthReason && (
+                                    <Typography variant="body2" color="textSecondary">
+                                        {reauthReason}
+                                    </Typography>
+                                )}
+                            </Alert>
+                        </Grid>
+                    )}
+
                     {/* Error/Success Messages */}
                     {error && (
                         <Grid item xs={12}>
@@ -325,6 +2585,16 @@ class TabContent extends Component {
                                         <Typography variant="body2" color="textSecondary">
                                             Last sync: {this.formatTime(lastSync)}
                                         </Typography>
+                                        {outboxDepth > 0 && (
+                                            <Box mt={1}>
+                                                <Alert severity="info">
+                                                    {outboxDepth === 1
+                                                        ? '1 change waiting to be applied'
+                                                        : `${outboxDepth} changes waiting to be applied`}
+                                                    {' '}- Microsoft Family could not be reached. Retrying automatically.
+                                                </Alert>
+                                            </Box>
+                                        )}
                                         <Box mt={2}>
                                             <Button
                                                 variant="outlined"
@@ -350,6 +2620,13 @@ class TabContent extends Component {
                         </Card>
                     </Grid>
 
+                    {/* Ask for more time */}
+                    {authenticated && (
+                        <Grid item xs={12}>
+                            {this.renderTimeRequests()}
+                        </Grid>
+                    )}
+
                     {/* Children Management */}
                     {authenticated && children.length > 0 && (
                         <Grid item xs={12}>
@@ -363,69 +2640,216 @@ class TabContent extends Component {
                                         Link Microsoft Family children with Allow2 accounts to enforce quotas.
                                     </Typography>
 
-                                    <List>
-                                        {children.map(child => {
-                                            const isLinked = !!childLinks[child.id];
-                                            const linkedName = this.getLinkedAllow2ChildName(child.id);
+                                    {this.renderFamilyLock()}
 
-                                            return (
-                                                <ListItem key={child.id} divider>
-                                                    <ListItemAvatar>
-                                                        <Avatar src={child.avatar}>
-                                                            {child.name.charAt(0)}
-                                                        </Avatar>
-                                                    </ListItemAvatar>
-
-                                                    <ListItemText
-                                                        primary={child.name}
-                                                        secondary={
-                                                            isLinked
-                                                                ? `Linked to: ${linkedName}`
-                                                                : 'Not linked'
-                                                        }
-                                                    />
+                                    <FormControl style={{ minWidth: 320, marginBottom: 16 }}>
+                                        <InputLabel>When a limit is changed in the Microsoft Family app</InputLabel>
+                                        <Select
+                                            value={conflictPolicy}
+                                            onChange={(e) => this.handleConflictPolicyChange(e.target.value)}
+                                            disabled={loading}
+                                        >
+                                            <MenuItem value="allow2">Restore the Allow2 limit</MenuItem>
+                                            <MenuItem value="microsoft">Keep Microsoft's limit until midnight</MenuItem>
+                                            <MenuItem value="ask">Ask me</MenuItem>
+                                        </Select>
+                                    </FormControl>
 
-                                                    {!isLinked ? (
-                                                        <Box display="flex" alignItems="center" gap={1}>
-                                                            <FormControl style={{ minWidth: 200 }}>
-                                                                <InputLabel>Allow2 Child</InputLabel>
-                                                                <Select
-                                                                    value={selectedAllow2Child[child.id] || ''}
-                                                                    onChange={(e) => {
-                                                                        const selected = { ...selectedAllow2Child };
-                                                                        selected[child.id] = e.target.value;
-                                                                        this.setState({ selectedAllow2Child: selected });
-                                                                    }}
-                                                                >
-                                                                    {allow2Children.map(a2child => (
-                                                                        <MenuItem key={a2child.id} value={a2child.id}>
-                                                                            {a2child.name}
-                                                                        </MenuItem>
-                                                                    ))}
-                                                                </Select>
-                                                            </FormControl>
+                                    {Object.entries(conflicts).map(([msChildId, conflict]) => {
+                                        const child = children.find(c => c.id === msChildId);
+                                        const name = child ? child.name : 'A child';
+
+                                        return (
+                                            <Box key={msChildId} mb={1}>
+                                                <Alert
+                                                    severity={conflict.status === 'pending' ? 'warning' : 'info'}
+                                                    action={conflict.status === 'pending' ? (
+                                                        <Box>
+                                                            <Button
+                                                                color="inherit"
+                                                                size="small"
+                                                                onClick={() => this.handleResolveConflict(msChildId, 'allow2')}
+                                                                disabled={loading}
+                                                            >
+                                                                Keep Allow2 ({conflict.expectedLimit} min)
+                                                            </Button>
                                                             <Button
-                                                                variant="outlined"
-                                                                color="primary"
-                                                                onClick={() => this.handleLinkChild(child.id)}
-                                                                disabled={loading || !selectedAllow2Child[child.id]}
-                                                                startIcon={<LinkIcon />}
+                                                                color="inherit"
+                                                                size="small"
+                                                                onClick={() => this.handleResolveConflict(msChildId, 'microsoft')}
+                                                                disabled={loading}
                                                             >
-                                                                Link
+                                                                Keep Microsoft ({conflict.externalLimit} min)
                                                             </Button>
                                                         </Box>
                                                     ) : (
                                                         <Button
-                                                            variant="outlined"
-                                                            color="secondary"
-                                                            onClick={() => this.handleUnlinkChild(child.id)}
+                                                            color="inherit"
+                                                            size="small"
+                                                            onClick={() => this.handleResolveConflict(msChildId, 'allow2')}
                                                             disabled={loading}
-                                                            startIcon={<UnlinkIcon />}
                                                         >
-                                                            Unlink
+                                                            Restore Allow2 now
                                                         </Button>
                                                     )}
-                                                </ListItem>
+                                                >
+                                                    {conflict.status === 'pending'
+                                                        ? `${name}'s limit was changed to ${conflict.externalLimit} minutes in the Microsoft Family app. Allow2 set ${conflict.expectedLimit} minutes.`
+                                                        : `Keeping ${name}'s Microsoft Family limit of ${conflict.externalLimit} minutes until ${this.formatTime(conflict.until)}.`}
+                                                </Alert>
+                                            </Box>
+                                        );
+                                    })}
+
+                                    <List>
+                                        {children.map(child => {
+                                            const isLinked = !!childLinks[child.id];
+                                            const linkedName = this.getLinkedAllow2ChildName(child.id);
+
+                                            return (
+                                                <React.Fragment key={child.id}>
+                                                    <ListItem divider={!(child.devices && child.devices.length)}>
+                                                        <ListItemAvatar>
+                                                            <Avatar src={child.avatar}>
+                                                                {child.name.charAt(0)}
+                                                            </Avatar>
+                                                        </ListItemAvatar>
+
+                                                        <ListItemText
+                                                            primary={child.name}
+                                                            secondary={
+                                                                isLinked
+                                                                    ? [`Linked to: ${linkedName}`, this.describeNextSync(child.id)]
+                                                                        .filter(Boolean).join(' · ')
+                                                                    : 'Not linked'
+                                                            }
+                                                        />
+
+                                                        {isLinked && this.renderDryRunChip(child.id)}
+                                                        {isLinked && this.renderLockChip(child.id)}
+                                                        {isLinked && this.renderVerificationChip(child.id)}
+
+                                                        {!isLinked ? (
+                                                            <Box display="flex" alignItems="center" gap={1}>
+                                                                <FormControl style={{ minWidth: 200 }}>
+                                                                    <InputLabel>Allow2 Child</InputLabel>
+                                                                    <Select
+                                                                        value={selectedAllow2Child[child.id] || ''}
+                                                                        onChange={(e) => {
+                                                                            const selected = { ...selectedAllow2Child };
+                                                                            selected[child.id] = e.target.value;
+                                                                            this.setState({ selectedAllow2Child: selected });
+                                                                        }}
+                                                                    >
+                                                                        {allow2Children.map(a2child => (
+                                                                            <MenuItem key={a2child.id} value={a2child.id}>
+                                                                                {a2child.name}
+                                                                            </MenuItem>
+                                                                        ))}
+                                                                    </Select>
+                                                                </FormControl>
+                                                                <FormControlLabel
+                                                                    control={
+                                                                        <Switch
+                                                                            size="small"
+                                                                            checked={!!linkDryRun[child.id]}
+                                                                            onChange={(e) => this.setState({
+                                                                                linkDryRun: { ...linkDryRun, [child.id]: e.target.checked }
+                                                                            })}
+                                                                        />
+                                                                    }
+                                                                    label="Dry run"
+                                                                />
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    color="primary"
+                                                                    onClick={() => this.handleLinkChild(child.id)}
+                                                                    disabled={loading || !selectedAllow2Child[child.id]}
+                                                                    startIcon={<LinkIcon />}
+                                                                >
+                                                                    Link
+                                                                </Button>
+                                                            </Box>
+                                                        ) : (
+                                                            <Box display="flex">
+                                                                {locks.children[child.id] ? (
+                                                                    <Button
+                                                                        variant="contained"
+                                                                        onClick={() => this.handleUnlock(child.id)}
+                                                                        disabled={loading}
+                                                                        startIcon={<UnlockIcon />}
+                                                                        style={{ marginRight: 8 }}
+                                                                    >
+                                                                        Unlock
+                                                                    </Button>
+                                                                ) : (
+                                                                    <Button
+                                                                        variant="contained"
+                                                                        color="secondary"
+                                                                        onClick={() => this.setState({
+                                                                            lockEditor: { msChildId: child.id, name: child.name, duration: '60' }
+                                                                        })}
+                                                                        disabled={loading}
+                                                                        startIcon={<LockIcon />}
+                                                                        style={{ marginRight: 8 }}
+                                                                    >
+                                                                        Lock Now
+                                                                    </Button>
+                                                                )}
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    onClick={() => this.handleOpenSchedule(child)}
+                                                                    disabled={loading}
+                                                                    startIcon={<AllowedHoursIcon />}
+                                                                    style={{ marginRight: 8 }}
+                                                                >
+                                                                    Allowed Hours
+                                                                </Button>
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    onClick={() => this.handleOpenApps(child)}
+                                                                    disabled={loading}
+                                                                    startIcon={<AppsIcon />}
+                                                                    style={{ marginRight: 8 }}
+                                                                >
+                                                                    Apps & Games
+                                                                </Button>
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    onClick={() => this.handleOpenWebFilter(child)}
+                                                                    disabled={loading}
+                                                                    startIcon={<WebFilterIcon />}
+                                                                    style={{ marginRight: 8 }}
+                                                                >
+                                                                    Web Filter
+                                                                </Button>
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    color="primary"
+                                                                    onClick={() => this.setState({
+                                                                        grantEditor: { msChildId: child.id, name: child.name, minutes: '30', unlimited: false, until: '' }
+                                                                    })}
+                                                                    disabled={loading}
+                                                                    startIcon={<GrantIcon />}
+                                                                    style={{ marginRight: 8 }}
+                                                                >
+                                                                    Give Time
+                                                                </Button>
+                                                                <Button
+                                                                    variant="outlined"
+                                                                    color="secondary"
+                                                                    onClick={() => this.handleUnlinkChild(child.id)}
+                                                                    disabled={loading}
+                                                                    startIcon={<UnlinkIcon />}
+                                                                >
+                                                                    Unlink
+                                                                </Button>
+                                                            </Box>
+                                                        )}
+                                                    </ListItem>
+                                                    {isLinked && this.renderGrants(child)}
+                                                    {this.renderDevices(child, isLinked)}
+                                                </React.Fragment>
                                             );
                                         })}
                                     </List>
@@ -434,6 +2858,40 @@ class TabContent extends Component {
                         </Grid>
                     )}
 
+                    {/* Dry run timeline */}
+                    {authenticated && (Object.keys(childLinks).length > 0 || dryRunLog.total > 0) && (
+                        <Grid item xs={12}>
+                            {this.renderDryRun()}
+                        </Grid>
+                    )}
+
+                    {/* Usage history */}
+                    {authenticated && Object.keys(childLinks).length > 0 && (
+                        <Grid item xs={12}>
+                            {this.renderUsageHistory()}
+                        </Grid>
+                    )}
+
+                    {/* Audit log */}
+                    {authenticated && (
+                        <Grid item xs={12}>
+                            {this.renderAuditLog()}
+                        </Grid>
+                    )}
+
+                    {/* Settings */}
+                    {Object.keys(settingsSchema).length > 0 && (
+                        <Grid item xs={12}>
+                            {this.renderSettings()}
+                        </Grid>
+                    )}
+
+                    {this.renderScheduleEditor()}
+                    {this.renderAppEditor()}
+                    {this.renderWebFilterEditor()}
+                    {this.renderGrantEditor()}
+                    {this.renderLockEditor()}
+
                     {/* Help Info */}
                     <Grid item xs={12}>
                         <Alert severity="info">
@@ -444,7 +2902,13 @@ class TabContent extends Component {
                                 <li>Sign in with your Microsoft account</li>
                                 <li>Link Microsoft Family children with Allow2 accounts</li>
                                 <li>Quotas from Allow2 automatically enforce screen time limits</li>
-                                <li>When quota is low (&lt;30 min), syncs every 10 minutes</li>
+                                {settings.syncInterval && (
+                                    <li>
+                                        Syncs every {settings.syncInterval / 60000} minutes, and
+                                        every {settings.aggressiveSyncInterval / 60000} minutes once
+                                        quota is low (&lt;{settings.aggressiveSyncThreshold} min)
+                                    </li>
+                                )}
                                 <li>When quota increases, syncs immediately</li>
                             </Typography>
                         </Alert>
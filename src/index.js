@@ -15,11 +15,114 @@
 
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 // Import UI component
 import TabContent from './Components/TabContent';
 
 // Import Microsoft Family modules
 const MicrosoftFamilyService = require('./services/MicrosoftFamilyService');
+const TokenStorage = require('./services/TokenStorage');
+const LimitVerifier = require('./services/LimitVerifier');
+const FamilySimulator = require('./services/FamilySimulator');
+const SyncScheduler = require('./services/SyncScheduler');
+const SyncEngine = require('./services/SyncEngine');
+const WriteOutbox = require('./services/WriteOutbox');
+const UsageHistory = require('./services/UsageHistory');
+const { filterEntries, toCsv, toJson } = require('./services/AuditLog');
+const { SETTINGS_SCHEMA, DEFAULT_SETTINGS, validateSettings } = require('./services/Settings');
+const { fromAllow2, normalizeSchedule, schedulesEqual } = require('./services/ScheduleMapper');
+const { UNRESTRICTED_LIMIT, settleGrantBaselines, computeLimit } = require('./services/LimitCalculator');
+const { AuthExpiredError } = require('./services/ApiErrors');
+
+// Renew access tokens this long before they expire
+const TOKEN_RENEWAL_MARGIN = 300000; // 5 minutes
+// Wait this long before retrying a renewal that failed transiently
+const TOKEN_RENEWAL_RETRY = 60000; // 1 minute
+// Scheduler wakes can land just before an interval has fully elapsed
+const SYNC_INTERVAL_TOLERANCE = 60000; // 1 minute
+
+// How often pending "ask for more time" requests are polled
+const REQUEST_POLL_INTERVAL = 120000; // 2 minutes
+// Allow2 activity that Microsoft usage outside a mapped device class is reported against
+const DEFAULT_USAGE_ACTIVITY = 8; // Screen Time
+// Per-device usage for the history is re-read at most this often
+const DEVICE_USAGE_MAX_AGE = 1800000; // 30 minutes
+// Oldest audit entries are dropped beyond this many - a few days of syncs
+const AUDIT_LOG_LIMIT = 1000;
+// Oldest dry-run entries are dropped beyond this many
+const DRY_RUN_LOG_LIMIT = 500;
+
+// Changes made from the tab that are audited with their outcome; grants,
+// locks and time requests keep their own, richer entries
+const AUDITED_CHANNELS = [
+    'msFamily.authenticate',
+    'msFamily.linkChild',
+    'msFamily.unlinkChild',
+    'msFamily.setScreenTime',
+    'msFamily.setEnforcementTargets',
+    'msFamily.setActivityMapping',
+    'msFamily.setAppLimit',
+    'msFamily.blockApp',
+    'msFamily.setAppRule',
+    'msFamily.setWebFilter',
+    'msFamily.setSchedule',
+    'msFamily.setConflictPolicy',
+    'msFamily.setUsageReporting',
+    'msFamily.setDryRun',
+    'msFamily.clearDryRunLog',
+    'msFamily.resolveConflict',
+    'msFamily.setSandboxMode',
+    'msFamily.saveSettings',
+    'msFamily.syncNow'
+];
+
+// State that belongs to one Microsoft account - sandbox mode keeps its own
+// set, and the real account's waits in state.realAccount
+const ACCOUNT_STATE_KEYS = [
+    'children', 'childLinks', 'quotaState', 'disabledChildren', 'verification', 'conflicts', 'outbox',
+    'schedules', 'enforcement', 'activityMappings', 'appRules', 'webRestrictions', 'timeRequests',
+    'grants', 'locks', 'usageHistory', 'usageReports', 'dryRunChildren', 'lastSync'
+];
+
+// Allow2 activities a device class can be mapped to - each has its own
+// quota, read with allow2.getQuota(allow2ChildId, activityId)
+const ALLOW2_ACTIVITIES = [
+    { id: 1, name: 'Internet' },
+    { id: 2, name: 'Computer' },
+    { id: 3, name: 'Gaming' },
+    { id: 8, name: 'Screen Time' }
+];
+
+/**
+ * Local calendar day key (YYYY-MM-DD) - Microsoft resets usage at local midnight
+ */
+function localDateKey(time = Date.now()) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole minutes elapsed since local midnight
+ */
+function minutesSinceMidnight(time = Date.now()) {
+    const midnight = new Date(time);
+    midnight.setHours(0, 0, 0, 0);
+    return Math.floor((time - midnight.getTime()) / 60000);
+}
+
+/**
+ * Start of the next local day
+ */
+function nextMidnight(time = Date.now()) {
+    const midnight = new Date(time);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+}
 
 /**
  * Microsoft Family Plugin Factory
@@ -28,7 +131,20 @@ const MicrosoftFamilyService = require('./services/MicrosoftFamilyService');
 function plugin(context) {
     let state = null;
     let familyService = null;
-    let quotaMonitor = null;
+    let credentialStore = null;
+    let limitVerifier = null;
+    let simulator = null;
+    let ready = Promise.resolve();
+    let syncScheduler = null;
+    let syncEngine = null;
+    let outbox = null;
+    let usageHistory = null;
+    let tokenRenewalTimer = null;
+    let requestPollTimer = null;
+    let grantTimer = null;
+    let lockTimer = null;
+    let tokenRenewal = null;
+    const answeringRequests = new Set(); // requestIds with a response in flight
 
     const msFamily = {};
 
@@ -37,39 +153,113 @@ function plugin(context) {
      * @param {Object} loadState - Persisted state from previous session
      */
     msFamily.onLoad = function(loadState) {
-        console.log('[MS Family] Plugin loading...', loadState);
+        console.log('[MS Family] Plugin loading...');
 
         // Restore persisted state
         state = loadState || {
             authenticated: false,
-            accessToken: null,
+            credentials: null, // encrypted { accessToken, refreshToken }
             tokenExpiry: null,
+            reauthRequired: false,
+            reauthReason: null,
             children: {}, // msChildId -> child data
             childLinks: {}, // msChildId -> allow2ChildId
             quotaState: {}, // allow2ChildId -> quota tracking
-            settings: {
-                headless: true,
-                syncInterval: 600000, // 10 minutes default
-                aggressiveSyncThreshold: 30 // Minutes remaining
-            },
+            disabledChildren: {}, // allow2ChildId -> disabled timestamp
+            verification: {}, // msChildId -> limit verification record
+            conflicts: {}, // msChildId -> external limit change awaiting/holding
+            outbox: [], // limit writes waiting for Microsoft to be reachable
+            schedules: {}, // msChildId -> allowed hours source and last push
+            enforcement: {}, // msChildId -> { targets: ['class:xbox', 'device:<id>'] }, empty = whole account
+            activityMappings: {}, // msChildId -> { xbox: 3, windows: 2 } - device class -> Allow2 activity
+            appRules: {}, // msChildId -> { appId: { activity, blockedByAllow2 } } - block while the activity is used up
+            webRestrictions: {}, // msChildId -> { since, previous } - browsing held to the allow list by an action
+            timeRequests: {}, // requestId -> pending "ask for more time" request
+            auditLog: [], // decisions and changes made through the plugin, oldest first
+            grants: {}, // msChildId -> [{ id, minutes (null = unlimited), expiresAt, createdAt }]
+            locks: { family: null, children: {} }, // { since, until (null = until unlocked) } - blocked whatever Allow2 says
+            usageHistory: {}, // msChildId -> { 'YYYY-MM-DD': daily usage roll-up }
+            usageReports: {}, // msChildId -> { date, reported: { activityId: minutes } } - usage already given to Allow2
+            dryRunChildren: {}, // msChildId -> since - links whose writes are only recorded
+            dryRunLog: [], // writes dry runs held back, oldest first
+            settings: { ...DEFAULT_SETTINGS }, // see services/Settings.js
             lastSync: null
         };
+        applyStateDefaults(state);
 
         // Initialize service
-        familyService = new MicrosoftFamilyService({
-            headless: state.settings.headless
+        familyService = createFamilyService();
+
+        credentialStore = new TokenStorage(TokenStorage.createKeySource(context));
+
+        // Every limit write goes through the engine, one pass at a time
+        syncEngine = new SyncEngine({
+            syncChild: runSyncTask,
+            onPassComplete: (results) => {
+                state.lastSync = Date.now();
+                context.configurationUpdate(state);
+
+                // Microsoft answered, so queued writes stand a chance
+                if (Object.values(results).some(outcome => outcome && !outcome.error)) {
+                    replayOutbox();
+                }
+            }
+        });
+
+        // Limit writes that failed while Microsoft was unreachable
+        outbox = new WriteOutbox({
+            entries: state.outbox,
+            write: replayLimit,
+            onChange: (entries) => {
+                state.outbox = entries;
+                context.configurationUpdate(state);
+            }
+        });
+
+        // Read back every limit we write to confirm it stuck
+        limitVerifier = new LimitVerifier({
+            records: state.verification,
+            read: (msChildId) => familyService.getScreenTime(msChildId, true),
+            write: (msChildId, minutes) => syncEngine.exclusive(() => {
+                // A newer limit may have been pushed while this rewrite waited its turn
+                if (state.verification[msChildId]?.expectedLimit !== minutes) {
+                    return null;
+                }
+                return familyService.setScreenTimeLimit(msChildId, minutes);
+            }),
+            onChange: handleVerificationChange
+        });
+
+        // Daily usage against quota, sampled on every pass and saved with it
+        usageHistory = new UsageHistory({
+            days: state.usageHistory,
+            getRetentionDays: () => state.settings.usageHistoryDays,
+            onChange: (days) => {
+                state.usageHistory = days;
+            }
+        });
+
+        // Plans each linked child's next sync around its predicted exhaustion
+        syncScheduler = new SyncScheduler({
+            run: runScheduledSync,
+            getSettings: () => state.settings
         });
 
         // Restore authentication if available
-        if (state.accessToken && state.tokenExpiry && Date.now() < state.tokenExpiry) {
-            familyService.accessToken = state.accessToken;
-            familyService.tokenExpiry = state.tokenExpiry;
-            state.authenticated = true;
-            console.log('[MS Family] Restored authentication from state');
-        }
+        ready = restoreAuthentication(context).catch(err => {
+            console.error('[MS Family] Failed to restore authentication:', err);
+        });
+        ready.then(() => {
+            limitVerifier.resume();
+            replayOutbox();
+
+            // Grants and locks that ran out while the app was closed
+            expireGrants();
+            expireLocks();
+        });
 
         // Setup IPC handlers
-        setupIPCHandlers(context, familyService, state);
+        setupIPCHandlers(context);
 
         console.log('[MS Family] Plugin loaded');
     };
@@ -81,20 +271,41 @@ function plugin(context) {
     msFamily.newState = function(newState) {
         console.log('[MS Family] Plugin state updated:', newState);
 
-        // Check if child links changed - may need to adjust monitoring
-        const oldLinks = state.childLinks || {};
-        const newLinks = newState.childLinks || {};
-
-        state = newState;
+        // Fields owned by the main process are never taken from the UI, so
+        // a sync pass running across this update keeps its writes. Settings
+        // change only through msFamily.saveSettings - the UI can echo back
+        // values older than the ones just saved.
+        state = {
+            ...newState,
+            credentials: state.credentials,
+            quotaState: state.quotaState,
+            disabledChildren: state.disabledChildren,
+            verification: state.verification,
+            conflicts: state.conflicts,
+            outbox: state.outbox,
+            schedules: state.schedules,
+            enforcement: state.enforcement,
+            activityMappings: state.activityMappings,
+            appRules: state.appRules,
+            webRestrictions: state.webRestrictions,
+            timeRequests: state.timeRequests,
+            auditLog: state.auditLog,
+            grants: state.grants,
+            locks: state.locks,
+            usageHistory: state.usageHistory,
+            usageReports: state.usageReports,
+            dryRunChildren: state.dryRunChildren,
+            dryRunLog: state.dryRunLog,
+            settings: state.settings,
+            realAccount: state.realAccount,
+            lastSync: state.lastSync
+        };
+        delete state.accessToken;
+        delete state.refreshToken;
+        applyStateDefaults(state);
 
-        // If links changed and monitoring is active, restart monitor
-        if (quotaMonitor && JSON.stringify(oldLinks) !== JSON.stringify(newLinks)) {
-            console.log('[MS Family] Child links changed, restarting quota monitor');
-            stopQuotaMonitor();
-            if (state.authenticated) {
-                startQuotaMonitor(context);
-            }
-        }
+        // Newly linked children are scheduled straight away, unlinked ones dropped
+        syncScheduler.setChildren(Object.keys(state.childLinks));
     };
 
     /**
@@ -114,6 +325,12 @@ function plugin(context) {
                     message: 'Microsoft Family plugin active',
                     timestamp: Date.now()
                 });
+            } else if (state.reauthRequired) {
+                context.statusUpdate({
+                    status: 'reauth_required',
+                    message: state.reauthReason || 'Microsoft sign-in required',
+                    timestamp: Date.now()
+                });
             } else {
                 context.statusUpdate({
                     status: 'configured',
@@ -145,6 +362,11 @@ function plugin(context) {
 
         // Stop monitoring
         stopQuotaMonitor();
+        clearTokenRenewal();
+        clearTimeout(grantTimer);
+        clearTimeout(lockTimer);
+        limitVerifier.stop();
+        outbox.stop();
 
         // Close browser sessions
         if (familyService) {
@@ -163,284 +385,3044 @@ function plugin(context) {
     };
 
     /**
-     * Start quota monitoring loop
+     * Actions declared in package.json (allow2automate.api.actions)
+     * Each takes { allow2ChildId } and resolves to a structured result:
+     * { success, action, allow2ChildId, results: [...], timestamp } or
+     * { success: false, action, allow2ChildId, error, timestamp }
+     */
+    msFamily.actions = {
+        /**
+         * enable - Lift a disable and restore the Allow2-derived limit
+         */
+        enable: (params) => runChildAction('enable', params, async (msChildId, allow2ChildId) => {
+            delete state.disabledChildren[allow2ChildId];
+            return syncChildNow(msChildId);
+        }),
+
+        /**
+         * disable - Block the child's devices until enabled again
+         */
+        disable: (params) => runChildAction('disable', params, async (msChildId, allow2ChildId) => {
+            state.disabledChildren[allow2ChildId] = Date.now();
+
+            const { deviceLimits } = await blockChild(msChildId, false);
+
+            return { msChildId, dailyLimit: 0, deviceLimits, disabled: true };
+        }),
+
+        /**
+         * updateQuota - Push the current Allow2 quota immediately
+         */
+        updateQuota: (params) => runChildAction('updateQuota', params, (msChildId) =>
+            syncChildNow(msChildId)
+        ),
+
+        /**
+         * restrictBrowsing - Allow only the sites on the child's allow list
+         * (e.g. while a homework quota is active)
+         */
+        restrictBrowsing: (params) => runChildAction('restrictBrowsing', params, (msChildId) =>
+            syncEngine.exclusive(async () => {
+                const filter = await familyService.getWebFilter(msChildId, true);
+                const applied = await enforceWebFilter(msChildId, { enabled: true, allowListOnly: true },
+                    { cause: 'restrictBrowsing' });
+
+                // Restricting twice keeps the settings from before the first time;
+                // a dry run changed nothing, so there is nothing to restore
+                if (applied && !state.webRestrictions[msChildId]) {
+                    state.webRestrictions[msChildId] = {
+                        since: Date.now(),
+                        previous: { enabled: filter.enabled, allowListOnly: filter.allowListOnly }
+                    };
+                }
+
+                return { msChildId, allowListOnly: true, allowedSites: filter.allowedSites.length, dryRun: !applied };
+            })
+        ),
+
+        /**
+         * restoreBrowsing - Put the web filter back as it was before restrictBrowsing
+         */
+        restoreBrowsing: (params) => runChildAction('restoreBrowsing', params, (msChildId) =>
+            syncEngine.exclusive(async () => {
+                const restriction = state.webRestrictions[msChildId];
+                if (!restriction) {
+                    return null;
+                }
+
+                const applied = await enforceWebFilter(msChildId, restriction.previous, { cause: 'restoreBrowsing' });
+                if (applied) {
+                    delete state.webRestrictions[msChildId];
+                }
+                return { msChildId, ...restriction.previous, dryRun: !applied };
+            })
+        )
+    };
+
+    /**
+     * Run an action against every Microsoft child linked to an Allow2 child
+     */
+    async function runChildAction(action, params, perChild) {
+        const allow2ChildId = params && params.allow2ChildId;
+
+        try {
+            await ready;
+
+            if (!allow2ChildId) {
+                throw new Error('allow2ChildId is required');
+            }
+
+            const msChildIds = Object.keys(state.childLinks)
+                .filter(msChildId => state.childLinks[msChildId] === allow2ChildId);
+
+            if (msChildIds.length === 0) {
+                throw new Error(`No Microsoft Family child is linked to Allow2 child ${allow2ChildId}`);
+            }
+
+            if (!familyService.isAuthenticated()) {
+                throw new Error('Not authenticated with Microsoft Family');
+            }
+
+            console.log('[MS Family] Running action', action, 'for Allow2 child', allow2ChildId);
+
+            const results = [];
+            for (const msChildId of msChildIds) {
+                results.push(await perChild(msChildId, allow2ChildId) || { msChildId, skipped: true });
+            }
+
+            recordAudit({ type: 'action', action, source: 'automation', msChildId: null, allow2ChildId, results, error: null });
+            context.configurationUpdate(state);
+
+            return {
+                success: true,
+                action,
+                allow2ChildId,
+                results,
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            console.error('[MS Family] Action', action, 'failed:', error);
+
+            recordAudit({ type: 'action', action, source: 'automation', msChildId: null, allow2ChildId, error: error.message });
+            context.configurationUpdate(state);
+
+            if (error instanceof AuthExpiredError && familyService.refreshToken) {
+                renewAuthentication(context).catch(err => {
+                    console.error('[MS Family] Token renewal after action failed:', err);
+                });
+            }
+
+            return {
+                success: false,
+                action,
+                allow2ChildId,
+                error: error.message,
+                timestamp: Date.now()
+            };
+        }
+    }
+
+    /**
+     * Start quota monitoring - every linked child is synced immediately,
+     * then on its own schedule
      */
     function startQuotaMonitor(context) {
-        if (quotaMonitor) {
+        if (syncScheduler.started) {
             console.log('[MS Family] Quota monitor already running');
             return;
         }
 
         console.log('[MS Family] Starting quota monitor');
 
-        quotaMonitor = setInterval(async () => {
-            try {
-                await checkAndEnforceQuotas(context);
-            } catch (error) {
-                console.error('[MS Family] Error in quota monitor:', error);
-            }
-        }, state.settings.syncInterval);
-
-        // Run immediately
-        checkAndEnforceQuotas(context).catch(err => {
-            console.error('[MS Family] Initial quota check failed:', error);
-        });
+        syncScheduler.start(Object.keys(state.childLinks));
+        scheduleRequestPoll(0);
     }
 
     /**
-     * Stop quota monitoring loop
+     * Stop quota monitoring
      */
     function stopQuotaMonitor() {
-        if (quotaMonitor) {
-            clearInterval(quotaMonitor);
-            quotaMonitor = null;
+        if (syncScheduler.started) {
+            syncScheduler.stop();
             console.log('[MS Family] Quota monitor stopped');
         }
+
+        if (requestPollTimer) {
+            clearTimeout(requestPollTimer);
+            requestPollTimer = null;
+        }
     }
 
     /**
-     * Check Allow2 quotas and enforce in Microsoft Family
+     * Poll "ask for more time" requests while the monitor runs
      */
-    async function checkAndEnforceQuotas(context) {
-        if (!state.authenticated || !familyService.isAuthenticated()) {
-            console.log('[MS Family] Not authenticated, skipping quota check');
-            return;
+    function scheduleRequestPoll(delay = REQUEST_POLL_INTERVAL) {
+        if (requestPollTimer) {
+            clearTimeout(requestPollTimer);
         }
 
-        console.log('[MS Family] Checking quotas for', Object.keys(state.childLinks).length, 'linked children');
+        requestPollTimer = setTimeout(() => {
+            requestPollTimer = null;
+            pollTimeRequests()
+                .catch(err => {
+                    console.error('[MS Family] Time request poll failed:', err.message);
+                })
+                .finally(() => {
+                    if (syncScheduler.started) {
+                        scheduleRequestPoll();
+                    }
+                });
+        }, delay);
+    }
 
-        for (const [msChildId, allow2ChildId] of Object.entries(state.childLinks)) {
-            try {
-                // Get Allow2 quota for this child
-                const quota = await context.allow2.getQuota(allow2ChildId);
+    /**
+     * Replace state.timeRequests with Microsoft's pending requests,
+     * notifying the parent of new ones
+     */
+    async function pollTimeRequests() {
+        await ready;
 
-                if (!quota) {
-                    console.log('[MS Family] No quota data for Allow2 child:', allow2ChildId);
-                    continue;
-                }
+        if (!familyService.isAuthenticated()) {
+            return Object.values(state.timeRequests);
+        }
 
-                // Calculate remaining minutes
-                const remainingMinutes = quota.allowed && quota.remaining > 0
-                    ? Math.floor(quota.remaining / 60)
-                    : 0;
+        const pending = await familyService.getPendingRequests();
+        const requests = {};
+
+        for (const request of pending) {
+            // Still pending in Microsoft until the response being sent lands
+            if (answeringRequests.has(request.id)) continue;
+
+            const known = state.timeRequests[request.id];
+            const name = state.children[request.childId]?.name || 'A child';
+
+            requests[request.id] = {
+                ...request,
+                msChildId: request.childId,
+                allow2ChildId: state.childLinks[request.childId] || null,
+                childName: name,
+                receivedAt: known ? known.receivedAt : Date.now()
+            };
+
+            if (!known) {
+                console.log('[MS Family] New time request', request.id, 'from', request.childId);
+                context.notification({
+                    title: 'More Time Requested',
+                    message: `${name} is asking for ${request.minutes} more minutes`,
+                    type: 'info'
+                });
+            }
+        }
 
-                // Determine if we should sync
-                const shouldSync = determineSyncStrategy(allow2ChildId, remainingMinutes);
+        state.timeRequests = requests;
+        context.configurationUpdate(state);
 
-                if (shouldSync) {
-                    console.log('[MS Family] Syncing quota for child', msChildId, ':', remainingMinutes, 'minutes');
+        return Object.values(requests);
+    }
 
-                    // Update Microsoft Family screen time limit
-                    await familyService.setScreenTimeLimit(msChildId, remainingMinutes);
+    /**
+     * Approve or deny a time request in Microsoft Family and, for a linked
+     * child, add the same time in Allow2 - then push the resulting limit so
+     * both systems agree. Each decision is audited.
+     */
+    async function respondToTimeRequest(requestId, approve, minutes) {
+        const request = state.timeRequests[requestId];
+        if (!request || answeringRequests.has(requestId)) {
+            throw new Error('That request is no longer pending');
+        }
 
-                    // Update quota state
-                    state.quotaState[allow2ChildId] = {
-                        lastSyncTime: Date.now(),
-                        lastSyncMinutes: remainingMinutes,
-                        allow2Minutes: remainingMinutes
-                    };
+        const allow2ChildId = state.childLinks[request.msChildId] || null;
+        const granted = approve ? minutes : 0;
 
-                    // Persist state
-                    context.configurationUpdate(state);
+        // Claimed before the first await, so a second click or window cannot answer it too
+        delete state.timeRequests[requestId];
+        answeringRequests.add(requestId);
 
-                    // Send notification if quota is low
-                    if (remainingMinutes < 10 && remainingMinutes > 0) {
-                        context.notification({
-                            title: 'Low Screen Time',
-                            message: `${state.children[msChildId]?.name} has ${remainingMinutes} minutes remaining`,
-                            type: 'warning'
-                        });
-                    } else if (remainingMinutes === 0) {
-                        context.notification({
-                            title: 'Screen Time Exhausted',
-                            message: `${state.children[msChildId]?.name} has run out of screen time`,
-                            type: 'error'
-                        });
-                    }
+        try {
+            // Allow2 first - if it cannot take the time, nothing has changed yet
+            if (approve && allow2ChildId) {
+                if (typeof context.allow2.grantExtension !== 'function') {
+                    throw new Error('This Allow2Automate version cannot add time in Allow2');
                 }
-
-            } catch (error) {
-                console.error('[MS Family] Error checking quota for child', msChildId, ':', error);
+                await context.allow2.grantExtension(allow2ChildId, granted);
             }
+        } catch (error) {
+            state.timeRequests[requestId] = request;
+            answeringRequests.delete(requestId);
+            throw error;
+        }
+
+        let microsoftError = null;
+        try {
+            await syncEngine.exclusive(() => familyService.respondToRequest(requestId, approve, granted));
+        } catch (error) {
+            // The Allow2 time is granted either way; the sync below carries it into Microsoft's limit
+            console.error('[MS Family] Could not answer request', requestId, 'in Microsoft Family:', error.message);
+            microsoftError = error;
+        }
+
+        answeringRequests.delete(requestId);
+
+        recordAudit({
+            type: 'timeRequest',
+            action: approve ? 'approved' : 'denied',
+            source: 'ui',
+            msChildId: request.msChildId,
+            allow2ChildId,
+            requestId,
+            requestedMinutes: request.minutes,
+            grantedMinutes: granted,
+            error: microsoftError ? microsoftError.message : null
+        });
+
+        if (approve && allow2ChildId) {
+            await syncChildNow(request.msChildId);
         }
 
-        state.lastSync = Date.now();
         context.configurationUpdate(state);
+
+        if (microsoftError && !(approve && allow2ChildId)) {
+            throw microsoftError;
+        }
+
+        return { requestId, approved: approve, minutes: granted, allow2ChildId };
     }
 
     /**
-     * Determine sync strategy based on remaining time
-     * Returns true if sync should occur
+     * Sum of a child's unexpired grants - { minutes, unlimited }
      */
-    function determineSyncStrategy(allow2ChildId, newMinutes) {
-        const quotaState = state.quotaState[allow2ChildId];
-        const oldMinutes = quotaState?.allow2Minutes || newMinutes;
-        const lastSync = quotaState?.lastSyncTime || 0;
+    function activeGrant(msChildId) {
         const now = Date.now();
+        const grants = (state.grants[msChildId] || []).filter(grant => grant.expiresAt > now);
 
-        // IMMEDIATE: Quota increased - sync ASAP
-        if (newMinutes > oldMinutes) {
-            console.log('[MS Family] Quota increased, syncing immediately');
-            return true;
-        }
+        return {
+            minutes: grants.reduce((total, grant) => total + (grant.minutes || 0), 0),
+            unlimited: grants.some(grant => grant.minutes === null)
+        };
+    }
 
-        // IMMEDIATE: Quota exhausted - disable access
-        if (newMinutes === 0 && oldMinutes > 0) {
-            console.log('[MS Family] Quota exhausted, syncing immediately');
-            return true;
+    /**
+     * Give a linked child extra (or unlimited) time until expiresAt
+     * Grants end at midnight at the latest, as Microsoft's limits are daily
+     */
+    async function addGrant(msChildId, minutes, expiresAt) {
+        const allow2ChildId = state.childLinks[msChildId];
+        if (!allow2ChildId) {
+            throw new Error('Time can only be granted to a linked child');
         }
 
-        // AGGRESSIVE: Below threshold - sync every 10 minutes
-        if (newMinutes < state.settings.aggressiveSyncThreshold) {
-            const aggressiveInterval = 600000; // 10 minutes
-            if ((now - lastSync) >= aggressiveInterval) {
-                console.log('[MS Family] Below threshold, aggressive sync');
-                return true;
-            }
-        }
+        const grant = {
+            id: `grant-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            minutes,
+            expiresAt: Math.min(expiresAt || nextMidnight(), nextMidnight()),
+            createdAt: Date.now()
+        };
 
-        // NORMAL: Above threshold - sync on schedule
-        if ((now - lastSync) >= state.settings.syncInterval) {
-            console.log('[MS Family] Normal scheduled sync');
-            return true;
-        }
+        state.grants[msChildId] = [...(state.grants[msChildId] || []), grant];
+        recordAudit({
+            type: 'grant',
+            action: 'added',
+            source: 'ui',
+            msChildId,
+            allow2ChildId,
+            grantId: grant.id,
+            minutes,
+            expiresAt: grant.expiresAt
+        });
+        scheduleGrantExpiry();
+
+        const result = await syncChildNow(msChildId);
+        context.configurationUpdate(state);
 
-        return false;
+        return { grant, result };
     }
 
     /**
-     * Setup IPC handlers for renderer communication
+     * Withdraw a grant before it expires
      */
-    function setupIPCHandlers(context, familyService, state) {
+    async function revokeGrant(msChildId, grantId) {
+        const grants = state.grants[msChildId] || [];
+        const grant = grants.find(candidate => candidate.id === grantId);
+        if (!grant) {
+            throw new Error('That grant has already ended');
+        }
 
-        // Authenticate with Microsoft Account
-        context.ipcMain.handle('msFamily.authenticate', async (event) => {
-            try {
-                console.log('[MS Family IPC] Starting authentication...');
+        const remaining = grants.filter(candidate => candidate !== grant);
+        if (remaining.length > 0) {
+            state.grants[msChildId] = remaining;
+        } else {
+            delete state.grants[msChildId];
+        }
 
-                const result = await familyService.authenticate();
+        recordAudit({
+            type: 'grant',
+            action: 'revoked',
+            source: 'ui',
+            msChildId,
+            allow2ChildId: state.childLinks[msChildId] || null,
+            grantId,
+            minutes: grant.minutes
+        });
+        scheduleGrantExpiry();
 
-                // Save tokens to state
-                state.authenticated = true;
-                state.accessToken = result.accessToken;
-                state.tokenExpiry = result.expiresAt;
-                state.lastSync = Date.now();
+        const result = state.childLinks[msChildId] ? await syncChildNow(msChildId) : null;
+        context.configurationUpdate(state);
 
-                context.configurationUpdate(state);
+        return { result };
+    }
 
-                return [null, {
-                    success: true,
-                    expiresAt: result.expiresAt
-                }];
-            } catch (error) {
-                console.error('[MS Family IPC] Authentication failed:', error);
-                return [{ message: error.message }];
+    /**
+     * Drop expired grants and push the limits of the children they covered
+     */
+    function expireGrants() {
+        const now = Date.now();
+        const expired = [];
+
+        for (const [msChildId, grants] of Object.entries(state.grants)) {
+            const current = grants.filter(grant => grant.expiresAt > now);
+
+            for (const grant of grants.filter(candidate => !current.includes(candidate))) {
+                recordAudit({
+                    type: 'grant',
+                    action: 'expired',
+                    source: 'timer',
+                    msChildId,
+                    allow2ChildId: state.childLinks[msChildId] || null,
+                    grantId: grant.id,
+                    minutes: grant.minutes
+                });
             }
-        });
-
-        // Get children from Microsoft Family
-        context.ipcMain.handle('msFamily.getChildren', async (event) => {
-            try {
-                console.log('[MS Family IPC] Getting children...');
-
-                const children = await familyService.getFamilyMembers();
 
-                // Update state
-                state.children = children.reduce((acc, child) => {
-                    acc[child.id] = child;
-                    return acc;
-                }, {});
-                context.configurationUpdate(state);
+            if (current.length !== grants.length) {
+                expired.push(msChildId);
+            }
 
-                return [null, { children }];
-            } catch (error) {
-                console.error('[MS Family IPC] Failed to get children:', error);
-                return [{ message: error.message }];
+            if (current.length > 0) {
+                state.grants[msChildId] = current;
+            } else {
+                delete state.grants[msChildId];
             }
-        });
+        }
 
-        // Link MS Family child to Allow2 child
-        context.ipcMain.handle('msFamily.linkChild', async (event, { msChildId, allow2ChildId }) => {
-            try {
-                console.log('[MS Family IPC] Linking child:', msChildId, '->', allow2ChildId);
+        scheduleGrantExpiry();
 
-                state.childLinks[msChildId] = allow2ChildId;
+        if (expired.length === 0) {
+            return;
+        }
 
-                // Initialize quota state for this child
-                state.quotaState[allow2ChildId] = {
-                    lastSyncTime: 0,
-                    lastSyncMinutes: 0,
-                    allow2Minutes: 0
-                };
+        console.log('[MS Family] Grants expired for', expired.join(', '));
+        context.configurationUpdate(state);
 
-                context.configurationUpdate(state);
+        const linked = expired.filter(msChildId => state.childLinks[msChildId]);
+        if (linked.length > 0 && familyService.isAuthenticated()) {
+            syncEngine.request(linked, { force: true }).catch(err => {
+                console.error('[MS Family] Sync after grant expiry failed:', err);
+            });
+        }
+    }
 
-                return [null, { success: true }];
-            } catch (error) {
-                console.error('[MS Family IPC] Link child failed:', error);
-                return [{ message: error.message }];
-            }
-        });
+    /**
+     * Wake when the earliest grant expires
+     */
+    function scheduleGrantExpiry() {
+        clearTimeout(grantTimer);
+        grantTimer = null;
 
-        // Unlink MS Family child
-        context.ipcMain.handle('msFamily.unlinkChild', async (event, { msChildId }) => {
-            try {
-                console.log('[MS Family IPC] Unlinking child:', msChildId);
+        const expiries = Object.values(state.grants).flat().map(grant => grant.expiresAt);
+        if (expiries.length === 0) {
+            return;
+        }
 
-                const allow2ChildId = state.childLinks[msChildId];
-                delete state.childLinks[msChildId];
+        // setTimeout cannot wait longer than ~24.8 days; grants never outlive a day anyway
+        const delay = Math.min(Math.max(0, Math.min(...expiries) - Date.now()), 2147483647);
+        grantTimer = setTimeout(expireGrants, delay);
+    }
 
-                if (allow2ChildId) {
-                    delete state.quotaState[allow2ChildId];
-                }
+    /**
+     * The lock holding a child, or null - the family lock covers every linked child
+     */
+    function activeLock(msChildId) {
+        const now = Date.now();
+        const locks = [state.locks.children[msChildId], state.locks.family]
+            .filter(lock => lock && (lock.until === null || lock.until > now));
 
-                context.configurationUpdate(state);
+        if (locks.length === 0) {
+            return null;
+        }
 
-                return [null, { success: true }];
-            } catch (error) {
-                console.error('[MS Family IPC] Unlink child failed:', error);
-                return [{ message: error.message }];
-            }
-        });
+        // The child is free once the longest lock ends
+        return locks.find(lock => lock.until === null)
+            || locks.reduce((longest, lock) => lock.until > longest.until ? lock : longest);
+    }
 
-        // Get screen time for a child
-        context.ipcMain.handle('msFamily.getScreenTime', async (event, { msChildId }) => {
-            try {
-                console.log('[MS Family IPC] Getting screen time for:', msChildId);
+    /**
+     * Push a zero limit straight away, queued behind any running pass so
+     * it is the last write - on the selected devices, and on the whole
+     * account too when wholeAccount is set (a lock reaches every device)
+     */
+    async function blockChild(msChildId, wholeAccount) {
+        const allow2ChildId = state.childLinks[msChildId];
+        const targets = deviceTargets(msChildId);
+        const cause = wholeAccount ? 'lock' : 'disable';
+
+        const { result, deviceLimits } = await syncEngine.exclusive(async () => ({
+            result: !targets || wholeAccount ? await enforceLimit(msChildId, 0, { cause }) : null,
+            deviceLimits: targets ? await pushDeviceLimits(msChildId, () => 0, true, { cause }) : null
+        }));
+
+        state.quotaState[allow2ChildId] = {
+            ...state.quotaState[allow2ChildId],
+            lastSyncTime: Date.now(),
+            lastSyncMinutes: 0,
+            appliedLimit: result ? result.dailyLimit : null,
+            deviceLimits
+        };
 
-                const screenTime = await familyService.getScreenTime(msChildId);
+        return { msChildId, dailyLimit: 0, deviceLimits };
+    }
+
+    /**
+     * Lock one linked child, or the whole family when msChildId is null,
+     * until a time or until unlocked (until: null)
+     * Returns { msChildId: result } - a child Microsoft could not be reached
+     * for carries { error } and is locked at its next sync
+     */
+    async function addLock(msChildId, until) {
+        const msChildIds = msChildId ? [msChildId] : Object.keys(state.childLinks);
+
+        if (msChildId && !state.childLinks[msChildId]) {
+            throw new Error('Only a linked child can be locked');
+        }
+        if (msChildIds.length === 0) {
+            throw new Error('No children are linked to Allow2');
+        }
+
+        const lock = { since: Date.now(), until };
+        if (msChildId) {
+            state.locks.children[msChildId] = lock;
+        } else {
+            state.locks.family = lock;
+        }
+
+        recordAudit({
+            type: 'lock',
+            action: 'locked',
+            source: 'ui',
+            scope: msChildId ? 'child' : 'family',
+            msChildId,
+            allow2ChildId: msChildId ? state.childLinks[msChildId] : null,
+            until
+        });
+        scheduleLockExpiry();
+
+        // Saved before any push, so a failure part way never loses the lock
+        context.configurationUpdate(state);
+
+        const results = {};
+        for (const id of msChildIds) {
+            try {
+                results[id] = await blockChild(id, true);
+            } catch (error) {
+                console.error('[MS Family] Could not lock child', id, ':', error.message);
+                results[id] = { msChildId: id, error: error.message };
+            }
+        }
+
+        // A full pass brings app rules and mapped devices in line too
+        syncEngine.request(msChildIds, { force: true }).catch(err => {
+            console.error('[MS Family] Sync after lock failed:', err);
+        });
+
+        context.configurationUpdate(state);
+        return results;
+    }
+
+    /**
+     * Lift a child's lock, or the family lock when msChildId is null
+     * Children still held by the other lock stay blocked
+     */
+    async function removeLock(msChildId) {
+        const lock = msChildId ? state.locks.children[msChildId] : state.locks.family;
+        if (!lock) {
+            throw new Error(msChildId ? 'This child is not locked' : 'The family is not locked');
+        }
+
+        if (msChildId) {
+            delete state.locks.children[msChildId];
+        } else {
+            state.locks.family = null;
+        }
+
+        recordAudit({
+            type: 'lock',
+            action: 'unlocked',
+            source: 'ui',
+            scope: msChildId ? 'child' : 'family',
+            msChildId,
+            allow2ChildId: msChildId ? state.childLinks[msChildId] || null : null
+        });
+        scheduleLockExpiry();
+
+        const results = await releaseLocked(msChildId ? [msChildId] : Object.keys(state.childLinks));
+        context.configurationUpdate(state);
+
+        return results;
+    }
+
+    /**
+     * Put unlocked children back on their Allow2-derived limits
+     * Returns { msChildId: result } like addLock
+     */
+    async function releaseLocked(msChildIds) {
+        const released = msChildIds.filter(msChildId => state.childLinks[msChildId] && !activeLock(msChildId));
+        if (released.length === 0 || !familyService.isAuthenticated()) {
+            return {};
+        }
+
+        // Selected devices carry the limit again; the rest of the account goes back to unrestricted
+        await syncEngine.exclusive(async () => {
+            for (const msChildId of released.filter(deviceTargets)) {
+                await enforceLimit(msChildId, UNRESTRICTED_LIMIT, { cause: 'unlock' });
+            }
+        });
+
+        const outcomes = await syncEngine.request(released, { force: true });
+
+        return Object.fromEntries(Object.entries(outcomes).map(([msChildId, outcome]) => [
+            msChildId,
+            outcome.error ? { msChildId, error: outcome.error.message } : outcome.result
+        ]));
+    }
+
+    /**
+     * Drop expired locks and release the children they held
+     */
+    function expireLocks() {
+        const now = Date.now();
+        const expired = [];
+
+        const expire = (scope, msChildId) => {
+            recordAudit({
+                type: 'lock',
+                action: 'expired',
+                source: 'timer',
+                scope,
+                msChildId,
+                allow2ChildId: msChildId ? state.childLinks[msChildId] || null : null
+            });
+            expired.push(...(msChildId ? [msChildId] : Object.keys(state.childLinks)));
+        };
+
+        if (state.locks.family && state.locks.family.until !== null && state.locks.family.until <= now) {
+            expire('family', null);
+            state.locks.family = null;
+        }
+
+        for (const [msChildId, lock] of Object.entries(state.locks.children)) {
+            if (lock.until !== null && lock.until <= now) {
+                expire('child', msChildId);
+                delete state.locks.children[msChildId];
+            }
+        }
+
+        scheduleLockExpiry();
+
+        if (expired.length === 0) {
+            return;
+        }
+
+        console.log('[MS Family] Locks expired for', [...new Set(expired)].join(', '));
+        context.configurationUpdate(state);
+
+        releaseLocked([...new Set(expired)]).catch(err => {
+            console.error('[MS Family] Sync after lock expiry failed:', err);
+        });
+    }
+
+    /**
+     * Wake when the earliest timed lock ends
+     */
+    function scheduleLockExpiry() {
+        clearTimeout(lockTimer);
+        lockTimer = null;
+
+        const ends = [state.locks.family, ...Object.values(state.locks.children)]
+            .filter(lock => lock && lock.until !== null)
+            .map(lock => lock.until);
+        if (ends.length === 0) {
+            return;
+        }
+
+        // Locks can outlast setTimeout's ~24.8 day limit; waking early just reschedules
+        const delay = Math.min(Math.max(0, Math.min(...ends) - Date.now()), 2147483647);
+        lockTimer = setTimeout(expireLocks, delay);
+    }
+
+    /**
+     * Record a sync decision - action is 'pushed', 'simulated' (a dry run
+     * that would have pushed), 'skipped', 'held', 'noQuota' or 'failed'
+     */
+    function auditSync(action, msChildId, allow2ChildId, details) {
+        recordAudit({ type: 'sync', action, source: 'sync', msChildId, allow2ChildId, ...details, error: details.error || null });
+    }
+
+    /**
+     * Append an entry to state.auditLog, dropping the oldest beyond AUDIT_LOG_LIMIT
+     */
+    function recordAudit(entry) {
+        state.auditLog = [...state.auditLog, { timestamp: Date.now(), ...entry }].slice(-AUDIT_LOG_LIMIT);
+    }
+
+    /**
+     * Whether the plugin only records what it would change for a child -
+     * dry run is on for the whole plugin, or for this link
+     */
+    function dryRunActive(msChildId) {
+        return !!state.settings.dryRun || !!state.dryRunChildren[msChildId];
+    }
+
+    /**
+     * Append a write a dry run held back to state.dryRunLog, dropping the
+     * oldest beyond DRY_RUN_LOG_LIMIT
+     * @param {string} call - The MicrosoftFamilyService write that would have
+     *   run, or the host's trigger / logUsage
+     * @param {Object} details - { minutes, cause, ... } - cause is 'sync', 'lock',
+     *   'disable', 'unlock', 'release', 'restrictBrowsing', 'restoreBrowsing'
+     *   or 'unlink'
+     */
+    function recordDryRun(msChildId, call, details) {
+        console.log('[MS Family] Dry run for child', msChildId, '- would call', call, details);
+
+        state.dryRunLog = [...state.dryRunLog, {
+            timestamp: Date.now(),
+            msChildId,
+            allow2ChildId: state.childLinks[msChildId] || null,
+            call,
+            ...details
+        }].slice(-DRY_RUN_LOG_LIMIT);
+    }
+
+    /**
+     * Turn dry run on or off for one linked child, or for the whole plugin
+     * when msChildId is null
+     * Writes still queued or being verified for children entering dry run
+     * are dropped; children leaving it are synced straight away so their
+     * real limits apply.
+     */
+    function setDryRun(msChildId, enabled) {
+        const linked = Object.keys(state.childLinks);
+        const before = linked.filter(dryRunActive);
+
+        if (!msChildId) {
+            state.settings.dryRun = enabled;
+        } else if (enabled) {
+            state.dryRunChildren[msChildId] = state.dryRunChildren[msChildId] || Date.now();
+        } else {
+            delete state.dryRunChildren[msChildId];
+        }
+
+        const after = linked.filter(dryRunActive);
+        const entering = after.filter(id => !before.includes(id));
+        const leaving = before.filter(id => !after.includes(id));
+
+        for (const id of entering) {
+            outbox.discard(id);
+            limitVerifier.forget(id);
+            delete state.verification[id];
+        }
+
+        if (leaving.length > 0) {
+            syncEngine.request(leaving, { force: true }).catch(err => {
+                console.error('[MS Family] Sync after dry run failed:', err);
+            });
+        }
+
+        context.configurationUpdate(state);
+        return { dryRun: state.settings.dryRun, dryRunChildren: state.dryRunChildren, entering, leaving };
+    }
+
+    /**
+     * Fill in fields missing from state persisted by older versions
+     */
+    function applyStateDefaults(target) {
+        target.children = target.children || {};
+        target.childLinks = target.childLinks || {};
+        target.quotaState = target.quotaState || {};
+        target.disabledChildren = target.disabledChildren || {};
+        target.verification = target.verification || {};
+        target.conflicts = target.conflicts || {};
+        target.outbox = target.outbox || [];
+        target.schedules = target.schedules || {};
+        target.enforcement = target.enforcement || {};
+        target.activityMappings = target.activityMappings || {};
+        target.appRules = target.appRules || {};
+        target.webRestrictions = target.webRestrictions || {};
+        target.timeRequests = target.timeRequests || {};
+        target.auditLog = target.auditLog || [];
+        target.grants = target.grants || {};
+        target.locks = { family: null, children: {}, ...target.locks };
+        target.usageHistory = target.usageHistory || {};
+        target.usageReports = target.usageReports || {};
+        target.dryRunChildren = target.dryRunChildren || {};
+        target.dryRunLog = target.dryRunLog || [];
+
+        // Stored settings that no longer fit the schema fall back to their defaults
+        const { settings } = validateSettings({}, target.settings);
+        target.settings = settings;
+    }
+
+    /**
+     * Apply validated settings live (see validateSettings)
+     * Only what a change needs is redone: sync timings restart the quota
+     * monitor, and sandbox mode or the browser setting rebuild the
+     * Microsoft Family client - swapping in or out of sandbox starts each
+     * side's session afresh, a browser change keeps the current one.
+     * Returns the keys that changed.
+     */
+    async function applySettings(settings) {
+        await ready;
+
+        const previous = state.settings;
+        const changed = Object.keys(settings).filter(key => settings[key] !== previous[key]);
+        const needs = (applies) => changed.some(key => SETTINGS_SCHEMA[key].applies === applies);
+
+        if (changed.length === 0) {
+            return changed;
+        }
+
+        console.log('[MS Family] Applying settings:', changed.join(', '));
+
+        // Time used while reporting was off stays unreported
+        if (settings.reportUsage && !previous.reportUsage) {
+            for (const msChildId of Object.keys(state.childLinks)) {
+                state.usageReports[msChildId] = { date: localDateKey(), reported: {}, baseline: true };
+            }
+        }
+
+        // The client and dry run switch over below, each at its own safe point
+        state.settings = {
+            ...settings,
+            headless: previous.headless,
+            sandboxMode: previous.sandboxMode,
+            dryRun: previous.dryRun
+        };
+
+        if (changed.includes('dryRun')) {
+            setDryRun(null, settings.dryRun);
+        }
+
+        if (needs('service')) {
+            const wasMonitoring = syncScheduler.started;
+            stopQuotaMonitor();
+
+            // Swap services between sync passes, never under one
+            await syncEngine.exclusive(async () => {
+                const session = {
+                    accessToken: familyService.accessToken,
+                    refreshToken: familyService.refreshToken,
+                    tokenExpiry: familyService.tokenExpiry
+                };
+
+                clearTokenRenewal();
+                limitVerifier.stop();
+                await familyService.close();
+
+                if (changed.includes('sandboxMode')) {
+                    swapAccountState(settings.sandboxMode);
+                }
+
+                state.settings = { ...state.settings, headless: settings.headless, sandboxMode: settings.sandboxMode };
+                familyService = createFamilyService();
+
+                if (changed.includes('sandboxMode')) {
+                    // Each side restores its own session from scratch
+                    state.authenticated = false;
+                    state.tokenExpiry = null;
+                    ready = restoreAuthentication(context).catch(err => {
+                        console.error('[MS Family] Failed to restore authentication:', err);
+                    });
+                    await ready;
+                    limitVerifier.resume();
+                    replayOutbox();
+                } else {
+                    familyService.restoreSession(session);
+                    scheduleTokenRenewal(context);
+                    limitVerifier.resume();
+                }
+            });
+
+            if (wasMonitoring && state.authenticated) {
+                startQuotaMonitor(context);
+            }
+        } else if (needs('monitor') && syncScheduler.started) {
+            // Plans made with the old intervals are dropped and every child synced afresh
+            stopQuotaMonitor();
+            startQuotaMonitor(context);
+        }
+
+        context.configurationUpdate(state);
+        return changed;
+    }
+
+    /**
+     * Put one account's children, links, queues and records aside and
+     * bring in the other's - entering sandbox mode starts the simulator
+     * from nothing, leaving it drops the simulator's and restores the real
+     * account's. Runs with the sync monitor stopped, between passes.
+     */
+    function swapAccountState(sandboxMode) {
+        if (sandboxMode) {
+            state.realAccount = Object.fromEntries(ACCOUNT_STATE_KEYS.map(key => [key, state[key]]));
+            ACCOUNT_STATE_KEYS.forEach(key => delete state[key]);
+            state.lastSync = null;
+        } else if (state.realAccount) {
+            Object.assign(state, state.realAccount);
+            delete state.realAccount;
+        } else {
+            // Saved by a version that kept no separate real account - nothing to restore
+            return;
+        }
+        applyStateDefaults(state);
+
+        outbox.reset(state.outbox);
+        limitVerifier.reset(state.verification);
+        usageHistory.reset(state.usageHistory);
+        answeringRequests.clear();
+        syncScheduler.setChildren(Object.keys(state.childLinks));
+        scheduleGrantExpiry();
+        scheduleLockExpiry();
+
+        console.log('[MS Family] Switched to the', sandboxMode ? 'sandbox' : 'real', 'account');
+    }
+
+    /**
+     * Build the Microsoft Family client - against the local simulator in sandbox mode
+     */
+    function createFamilyService() {
+        const config = {
+            headless: state.settings.headless,
+            onFamilyMembersRefreshed: handleFamilyMembersRefreshed
+        };
+
+        if (state.settings.sandboxMode) {
+            simulator = simulator || new FamilySimulator();
+            config.baseUrl = FamilySimulator.BASE_URL;
+            config.transport = simulator.transport;
+            config.signIn = simulator.signIn;
+        }
+
+        return new MicrosoftFamilyService(config);
+    }
+
+    /**
+     * Decrypt stored credentials into the service, migrating any
+     * plaintext tokens persisted by earlier versions
+     */
+    async function restoreAuthentication(context) {
+        if (state.settings.sandboxMode) {
+            // The simulator lives in memory, so sign in to it afresh
+            const result = await familyService.authenticate();
+
+            state.authenticated = true;
+            state.tokenExpiry = result.expiresAt;
+            state.reauthRequired = false;
+            state.reauthReason = null;
+            scheduleTokenRenewal(context);
+
+            console.log('[MS Family] Sandbox mode - signed in to simulator');
+            return;
+        }
+
+        const plaintext = (state.accessToken || state.refreshToken) ? {
+            accessToken: state.accessToken || null,
+            refreshToken: state.refreshToken || null
+        } : null;
+        let credentials = plaintext || {};
+
+        // Plaintext tokens must never be persisted again
+        delete state.accessToken;
+        delete state.refreshToken;
+
+        try {
+            await credentialStore.init();
+
+            if (plaintext) {
+                state.credentials = credentialStore.encrypt(plaintext);
+                console.log('[MS Family] Migrated stored tokens to encrypted storage');
+            } else if (state.credentials) {
+                credentials = credentialStore.decrypt(state.credentials);
+            }
+        } catch (error) {
+            console.error('[MS Family] Could not read stored credentials:', error.message);
+        }
+
+        if (plaintext) {
+            context.configurationUpdate(state);
+        }
+
+        // tokenExpiry joined the encrypted credentials with sandbox mode
+        state.tokenExpiry = credentials.tokenExpiry || state.tokenExpiry;
+
+        familyService.restoreSession({
+            accessToken: credentials.accessToken,
+            refreshToken: credentials.refreshToken,
+            tokenExpiry: state.tokenExpiry
+        });
+
+        if (familyService.isAuthenticated()) {
+            state.authenticated = true;
+            console.log('[MS Family] Restored authentication from state');
+            scheduleTokenRenewal(context);
+        } else if (familyService.refreshToken) {
+            // Access token lapsed while the app was closed - renew it now
+            console.log('[MS Family] Stored token expired, renewing...');
+            await renewAuthentication(context);
+        } else if (state.authenticated || state.reauthRequired) {
+            markReauthRequired(context, 'Microsoft sign-in expired while Allow2Automate was closed');
+        }
+    }
+
+    /**
+     * Encrypt the service's current tokens into state.credentials
+     */
+    function saveCredentials() {
+        // Sandbox tokens are throwaway - leave the real credentials untouched
+        if (state.settings.sandboxMode) {
+            return;
+        }
+
+        const { accessToken, refreshToken, tokenExpiry } = familyService;
+
+        if (!accessToken && !refreshToken) {
+            state.credentials = null;
+            return;
+        }
+
+        try {
+            state.credentials = credentialStore.encrypt({ accessToken, refreshToken, tokenExpiry });
+        } catch (error) {
+            // Keep the session in memory only rather than persisting plaintext
+            console.error('[MS Family] Could not encrypt credentials:', error.message);
+            state.credentials = null;
+        }
+    }
+
+    /**
+     * Schedule renewal of the access token shortly before it expires
+     */
+    function scheduleTokenRenewal(context, delay = null) {
+        clearTokenRenewal();
+
+        if (!familyService.refreshToken || (delay === null && !state.tokenExpiry)) {
+            return;
+        }
+
+        if (delay === null) {
+            delay = Math.max(0, state.tokenExpiry - TOKEN_RENEWAL_MARGIN - Date.now());
+        }
+
+        tokenRenewalTimer = setTimeout(() => {
+            tokenRenewalTimer = null;
+            renewAuthentication(context).catch(err => {
+                console.error('[MS Family] Scheduled token renewal failed:', err);
+            });
+        }, delay);
+    }
+
+    /**
+     * Cancel any pending token renewal
+     */
+    function clearTokenRenewal() {
+        if (tokenRenewalTimer) {
+            clearTimeout(tokenRenewalTimer);
+            tokenRenewalTimer = null;
+        }
+    }
+
+    /**
+     * Renew the Microsoft access token using the refresh token
+     * Resolves true when a valid session is available afterwards
+     */
+    function renewAuthentication(context) {
+        // Share one renewal between the timer, onLoad and the quota monitor
+        if (!tokenRenewal) {
+            tokenRenewal = doRenewAuthentication(context).finally(() => {
+                tokenRenewal = null;
+            });
+        }
+        return tokenRenewal;
+    }
+
+    async function doRenewAuthentication(context) {
+        if (!familyService.refreshToken) {
+            markReauthRequired(context, 'Microsoft sign-in expired and cannot be renewed automatically');
+            return false;
+        }
+
+        try {
+            const result = await familyService.refreshAccessToken();
+            const wasReauthRequired = state.reauthRequired;
+
+            state.authenticated = true;
+            state.tokenExpiry = result.expiresAt;
+            state.reauthRequired = false;
+            state.reauthReason = null;
+            saveCredentials();
+
+            context.configurationUpdate(state);
+            scheduleTokenRenewal(context);
+
+            if (wasReauthRequired) {
+                context.statusUpdate({
+                    status: 'connected',
+                    message: 'Microsoft sign-in renewed',
+                    timestamp: Date.now()
+                });
+            }
+
+            console.log('[MS Family] Access token renewed');
+            replayOutbox();
+            return true;
+        } catch (error) {
+            const rejected = error instanceof AuthExpiredError;
+
+            if (rejected) {
+                familyService.refreshToken = null;
+            } else {
+                // Network trouble - keep the refresh token and try again shortly
+                scheduleTokenRenewal(context, TOKEN_RENEWAL_RETRY);
+            }
+
+            if (!rejected && familyService.isAuthenticated()) {
+                console.log('[MS Family] Token renewal failed, current token still valid:', error.message);
+                return true;
+            }
+
+            markReauthRequired(context, `Could not renew Microsoft sign-in: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Move into the reauth_required state and tell the parent that
+     * enforcement has stopped
+     */
+    function markReauthRequired(context, reason) {
+        const alreadyFlagged = state.reauthRequired;
+
+        state.authenticated = false;
+        state.tokenExpiry = null;
+        state.reauthRequired = true;
+        state.reauthReason = reason;
+
+        // Keep any refresh token so a transient failure can still recover
+        familyService.restoreSession({ refreshToken: familyService.refreshToken });
+        saveCredentials();
+
+        context.configurationUpdate(state);
+
+        if (alreadyFlagged) {
+            return;
+        }
+
+        console.log('[MS Family] Re-authentication required:', reason);
+
+        context.statusUpdate({
+            status: 'reauth_required',
+            message: reason,
+            timestamp: Date.now()
+        });
+
+        context.notification({
+            title: 'Microsoft Family Sign-in Required',
+            message: 'Screen time limits are no longer being enforced. Sign in to Microsoft again to resume.',
+            type: 'error'
+        });
+    }
+
+    /**
+     * Check Allow2 quotas and enforce in Microsoft Family
+     * Joins the running pass if it already covers every linked child
+     */
+    async function checkAndEnforceQuotas(context) {
+        if (!(await ensureSession(context))) {
+            return;
+        }
+
+        console.log('[MS Family] Checking quotas for', Object.keys(state.childLinks).length, 'linked children');
+
+        await syncEngine.request(Object.keys(state.childLinks));
+    }
+
+    /**
+     * Scheduler callback - sync the children whose planned time has come up
+     */
+    async function runScheduledSync(msChildIds) {
+        if (!(await ensureSession(context))) {
+            return;
+        }
+
+        await syncEngine.request(msChildIds.filter(msChildId => state.childLinks[msChildId]));
+    }
+
+    /**
+     * Push one child's limit now, throwing if the sync failed
+     */
+    async function syncChildNow(msChildId) {
+        const { [msChildId]: outcome } = await syncEngine.request([msChildId], { force: true });
+
+        if (outcome.error) {
+            throw outcome.error;
+        }
+        return outcome.result;
+    }
+
+    /**
+     * Renew the Microsoft session if it is about to lapse
+     * Returns false when there is no usable session
+     */
+    async function ensureSession(context) {
+        await ready;
+
+        if (familyService.needsRenewal(TOKEN_RENEWAL_MARGIN)) {
+            await renewAuthentication(context);
+        }
+
+        if (!state.authenticated || !familyService.isAuthenticated()) {
+            if (state.authenticated) {
+                markReauthRequired(context, 'Microsoft sign-in expired');
+            }
+            console.log('[MS Family] Not authenticated, skipping quota check');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sync engine task - sync one child within a pass
+     */
+    async function runSyncTask(msChildId, { force }) {
+        const allow2ChildId = state.childLinks[msChildId];
+
+        // Unlinked while the pass was queued
+        if (!allow2ChildId) {
+            return null;
+        }
+
+        // The session was lost earlier in this pass and could not be renewed
+        if (!familyService.isAuthenticated()) {
+            throw new Error('Not authenticated with Microsoft Family');
+        }
+
+        try {
+            return await syncChild(context, msChildId, allow2ChildId, force);
+        } catch (error) {
+            console.error('[MS Family] Error checking quota for child', msChildId, ':', error);
+            auditSync('failed', msChildId, allow2ChildId, { trigger: force ? 'forced' : 'scheduled', error: error.message });
+
+            // Token revoked early - renew before the remaining children
+            if (error instanceof AuthExpiredError && familyService.refreshToken) {
+                await renewAuthentication(context);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Sync one linked child's Allow2 quota into Microsoft Family
+     * Returns the sync result, or null when nothing was pushed
+     * @param {boolean} force - Skip determineSyncStrategy and push now
+     */
+    async function syncChild(context, msChildId, allow2ChildId, force = false) {
+        // A locked child is pushed to zero on every pass, whatever the
+        // throttling or a change in the Microsoft Family app says
+        const lock = activeLock(msChildId);
+        const trigger = force ? 'forced' : lock ? 'locked' : 'scheduled';
+        force = force || !!lock;
+
+        // A dry run makes every decision below but sends none of the writes
+        const simulate = dryRunActive(msChildId);
+
+        // Get Allow2 quota for this child
+        const quota = await context.allow2.getQuota(allow2ChildId);
+
+        if (!quota) {
+            console.log('[MS Family] No quota data for Allow2 child:', allow2ChildId);
+            auditSync('noQuota', msChildId, allow2ChildId, { trigger });
+            return null;
+        }
+
+        // Calculate remaining minutes
+        const remainingMinutes = quota.allowed && quota.remaining > 0
+            ? Math.floor(quota.remaining / 60)
+            : 0;
+
+        // Temporary grants from the parent ride on top of Allow2's time
+        const grant = activeGrant(msChildId);
+        const withGrant = (minutes) => grant.unlimited
+            ? UNRESTRICTED_LIMIT
+            : Math.min(UNRESTRICTED_LIMIT, minutes + grant.minutes);
+        const grantedMinutes = withGrant(remainingMinutes);
+
+        // Quotas of the Allow2 activities mapped to device classes
+        const activityMinutes = await readActivityQuotas(context, msChildId, allow2ChildId);
+
+        // Plan this child's next check from how fast its time is going - the
+        // first quota to run out decides
+        syncScheduler.observe(msChildId, Math.min(remainingMinutes, ...Object.values(activityMinutes)));
+
+        // Determine if we should sync
+        const strategy = determineSyncStrategy(allow2ChildId, remainingMinutes);
+        const activityStrategy = activityChange(allow2ChildId, activityMinutes);
+
+        emitQuotaTrigger(context, msChildId, allow2ChildId, remainingMinutes, simulate);
+
+        // One fresh read of Microsoft's settings serves drift detection and usage
+        const live = await readScreenTime(msChildId);
+
+        // Allowed hours travel with the limit but never hold it up
+        await syncSchedule(context, msChildId, allow2ChildId, live.screenTime);
+
+        // Microsoft's limit is a daily total, so today's usage is added to Allow2's remaining time
+        const usage = readTodayUsage(allow2ChildId, live);
+
+        // Grants top up the allowance they were given against (see LimitCalculator)
+        if (state.grants[msChildId] && usage.source !== 'none') {
+            state.grants[msChildId] = settleGrantBaselines(state.grants[msChildId], usage.minutes, remainingMinutes);
+        }
+
+        // Every pass that reached Microsoft goes into the usage history, and
+        // the minutes Allow2 has not been told about yet are reported to it
+        if (live.screenTime) {
+            const byClass = await sampleUsage(msChildId, usage, remainingMinutes, live.screenTime);
+            await reportUsage(msChildId, allow2ChildId, usage, byClass, simulate);
+        }
+
+        // Limits changed directly in the Microsoft Family app - a dry run
+        // applies none of ours, so there is nothing to defend
+        const reconciliation = simulate
+            ? null
+            : reconcileExternalChanges(context, msChildId, allow2ChildId, live.screenTime, force);
+
+        if (reconciliation === 'hold') {
+            auditSync('held', msChildId, allow2ChildId, {
+                trigger,
+                allow2Minutes: remainingMinutes,
+                usageMinutes: usage.minutes,
+                externalLimit: state.conflicts[msChildId]?.externalLimit ?? null
+            });
+            return null;
+        }
+
+        if (!force && !strategy && !activityStrategy && reconciliation !== 'restore') {
+            auditSync('skipped', msChildId, allow2ChildId, {
+                trigger,
+                strategy: null,
+                allow2Minutes: remainingMinutes,
+                usageMinutes: usage.minutes,
+                currentLimit: live.screenTime ? live.screenTime.dailyLimit : null
+            });
+            return null;
+        }
+
+        const computedLimit = computeLimit({
+            usageMinutes: usage.minutes,
+            remainingMinutes,
+            grants: state.grants[msChildId]
+        });
+
+        // A disabled or locked child stays blocked whatever Allow2 says, and
+        // an exhausted quota is a hard block rather than "usage so far"
+        const disabled = !!state.disabledChildren[allow2ChildId] || !!lock;
+        const blocked = disabled || grantedMinutes === 0;
+        const limitMinutes = blocked ? 0 : computedLimit;
+        const reason = strategy || (activityStrategy ? 'activity' : null) || (reconciliation === 'restore' ? 'restore' : null);
+
+        // Update Microsoft Family screen time limit - on the whole account,
+        // or on each selected device. Devices in a mapped class also get
+        // their activity's quota, and a lock holds the whole account as well
+        let result = null;
+        let deviceLimits = null;
+        if (!deviceTargets(msChildId) || lock) {
+            console.log('[MS Family] Syncing quota for child', msChildId, ':', limitMinutes, 'minutes',
+                `(usage ${usage.minutes} [${usage.source}] + remaining ${remainingMinutes}`,
+                grant.unlimited ? '+ unlimited grant)' : `+ granted ${grant.minutes})`);
+            result = await enforceLimit(msChildId, limitMinutes, {
+                cause: 'sync',
+                trigger,
+                strategy: reason,
+                currentLimit: live.screenTime ? live.screenTime.dailyLimit : null
+            });
+        }
+        if (deviceTargets(msChildId) || activityMapping(msChildId)) {
+            console.log('[MS Family] Syncing device limits for child', msChildId, `(remaining ${remainingMinutes})`,
+                activityMinutes);
+            deviceLimits = await pushDeviceLimits(msChildId, (device) => {
+                const activity = activityMapping(msChildId)?.[device.type];
+                return withGrant(activity ? activityMinutes[activity] : remainingMinutes);
+            }, disabled, { cause: 'sync', trigger, strategy: reason });
+        }
+
+        // Titles blocked while their Allow2 activity is used up
+        const appBlocks = await enforceAppRules(msChildId, activityMinutes, disabled);
+
+        // Update quota state, keeping the inputs so the limit can be audited
+        state.quotaState[allow2ChildId] = {
+            ...state.quotaState[allow2ChildId],
+            lastSyncTime: Date.now(),
+            lastSyncMinutes: limitMinutes,
+            allow2Minutes: remainingMinutes,
+            usageMinutes: usage.minutes,
+            usageSource: usage.source,
+            usageDate: usage.date,
+            computedLimit,
+            grantMinutes: grant.unlimited ? null : grant.minutes,
+            activityMinutes,
+            // Drift detection and verification cover account-wide limits only
+            appliedLimit: result ? result.dailyLimit : null,
+            deviceLimits
+        };
+
+        auditSync(simulate ? 'simulated' : 'pushed', msChildId, allow2ChildId, {
+            trigger,
+            strategy: reason,
+            allow2Minutes: remainingMinutes,
+            activityMinutes,
+            grantMinutes: grant.unlimited ? null : grant.minutes,
+            usageMinutes: usage.minutes,
+            usageSource: usage.source,
+            limit: limitMinutes,
+            locked: !!lock,
+            disabled,
+            result: result ? { dailyLimit: result.dailyLimit } : null,
+            deviceLimits,
+            appBlocks
+        });
+
+        // Persist state
+        context.configurationUpdate(state);
+
+        // Send notification if quota is low (a disabled child was blocked deliberately)
+        if (!disabled && grantedMinutes < 10 && grantedMinutes > 0) {
+            context.notification({
+                title: 'Low Screen Time',
+                message: `${state.children[msChildId]?.name} has ${grantedMinutes} minutes remaining`,
+                type: 'warning'
+            });
+        } else if (!disabled && grantedMinutes === 0) {
+            context.notification({
+                title: 'Screen Time Exhausted',
+                message: `${state.children[msChildId]?.name} has run out of screen time`,
+                type: 'error'
+            });
+        }
+
+        return {
+            msChildId,
+            dailyLimit: limitMinutes,
+            allow2Minutes: remainingMinutes,
+            grantMinutes: grant.unlimited ? null : grant.minutes,
+            usageMinutes: usage.minutes,
+            activityMinutes,
+            deviceLimits,
+            appBlocks,
+            disabled,
+            locked: !!lock,
+            dryRun: simulate
+        };
+    }
+
+    /**
+     * Whether Microsoft usage is reported to Allow2 - the host must support it
+     */
+    function usageReportingActive() {
+        return state.settings.reportUsage && typeof context.allow2.logUsage === 'function';
+    }
+
+    /**
+     * Add a pass's reading to the child's usage history, split by device
+     * class from device usage read today
+     * Returns the per-class usage ({} when no devices were read today)
+     */
+    async function sampleUsage(msChildId, usage, remainingMinutes, screenTime) {
+        const child = state.children[msChildId];
+        let devices = child?.devices || [];
+        let readAt = child?.devicesUpdatedAt || 0;
+
+        // Usage reported per mapped activity needs fresh device figures every pass
+        const maxAge = usageReportingActive() && activityMapping(msChildId) ? 0 : DEVICE_USAGE_MAX_AGE;
+
+        if (Date.now() - readAt > maxAge) {
+            try {
+                devices = await refreshDevices(msChildId, true);
+                readAt = Date.now();
+            } catch (error) {
+                console.error('[MS Family] Could not read device usage for child', msChildId, ':', error.message);
+
+                if (error instanceof AuthExpiredError) {
+                    throw error;
+                }
+            }
+        }
+
+        // Yesterday's device figures would be counted against today
+        const byClass = {};
+        if (localDateKey(readAt) === usage.date) {
+            for (const device of devices) {
+                byClass[device.type] = (byClass[device.type] || 0) + device.todayUsage;
+            }
+        }
+
+        usageHistory.record(msChildId, {
+            date: usage.date,
+            usageMinutes: usage.minutes,
+            allow2Minutes: remainingMinutes,
+            limitMinutes: screenTime.dailyLimit,
+            byClass
+        });
+
+        return byClass;
+    }
+
+    /**
+     * Report the Microsoft usage Allow2 has not been told about yet through
+     * the optional context.allow2.logUsage(allow2ChildId, activityId, minutes, { reportId })
+     *
+     * Usage on a device class mapped to an activity counts against that
+     * activity, the rest against Screen Time. state.usageReports keeps what
+     * each activity has been given today, so only the growth since the last
+     * report is sent and restarts or repeated polls never count a minute
+     * twice. reportId (child, day, activity, minutes already reported) is
+     * the same when a report is resent after stopping before it was saved,
+     * so the host can drop one it already took. Failures are retried at
+     * the next pass and never hold up the sync.
+     * A dry run records each report instead, counted in its own tally
+     * (record.simulated) so the usage is still reported once it ends.
+     */
+    async function reportUsage(msChildId, allow2ChildId, usage, byClass, simulate = false) {
+        if (!usageReportingActive() || !['live', 'stale'].includes(usage.source)) {
+            return null;
+        }
+
+        const previous = state.usageReports[msChildId];
+        const record = previous?.date === usage.date
+            ? { ...previous, reported: { ...previous.reported } }
+            : { date: usage.date, reported: {} };
+
+        // What counts as already given to Allow2 - a dry run picks up from
+        // whatever was really reported, and never changes that
+        const given = simulate ? { ...record.reported } : record.reported;
+        if (simulate) {
+            for (const [activity, minutes] of Object.entries(record.simulated || {})) {
+                given[activity] = Math.max(given[activity] || 0, minutes);
+            }
+            record.simulated = given;
+        }
+
+        // Today's usage per activity
+        const measured = {};
+        let mappedMinutes = 0;
+        for (const [deviceClass, activity] of Object.entries(activityMapping(msChildId) || {})) {
+            const minutes = byClass[deviceClass] || 0;
+            measured[activity] = (measured[activity] || 0) + minutes;
+            mappedMinutes += minutes;
+        }
+        measured[DEFAULT_USAGE_ACTIVITY] = (measured[DEFAULT_USAGE_ACTIVITY] || 0)
+            + Math.max(0, usage.minutes - mappedMinutes);
+
+        // Reporting was just turned back on - usage from while it was off is not sent
+        if (record.baseline) {
+            state.usageReports[msChildId] = { date: usage.date, reported: measured, lastReportAt: null, lastError: null };
+            return {};
+        }
+
+        // Device figures can lag the account total; never report more than was used in all
+        let budget = usage.minutes - Object.values(given).reduce((total, minutes) => total + minutes, 0);
+        const sent = {};
+
+        for (const [activity, minutes] of Object.entries(measured)) {
+            const delta = Math.min(minutes - (given[activity] || 0), budget);
+            if (delta <= 0) continue;
+
+            const from = given[activity] || 0;
+            const reportId = `${msChildId}:${usage.date}:${activity}:${from}`;
+
+            if (simulate) {
+                recordDryRun(msChildId, 'logUsage', { activity: Number(activity), minutes: delta, cause: 'sync' });
+                given[activity] = from + delta;
+                budget -= delta;
+                continue;
+            }
+
+            try {
+                await context.allow2.logUsage(allow2ChildId, Number(activity), delta, { reportId });
+            } catch (error) {
+                console.error('[MS Family] Could not report usage for child', msChildId, ':', error.message);
+                record.lastError = error.message;
+                break;
+            }
+
+            record.reported[activity] = from + delta;
+            record.lastReportAt = Date.now();
+            record.lastError = null;
+            sent[activity] = delta;
+            budget -= delta;
+        }
+
+        state.usageReports[msChildId] = record;
+
+        if (Object.keys(sent).length > 0) {
+            console.log('[MS Family] Reported usage to Allow2 for child', msChildId, ':', sent);
+        }
+        return sent;
+    }
+
+    /**
+     * Enforcement targets for a child, or null to enforce on the whole account
+     */
+    function deviceTargets(msChildId) {
+        const targets = state.enforcement[msChildId]?.targets;
+        return targets && targets.length > 0 ? targets : null;
+    }
+
+    /**
+     * Device class -> Allow2 activity mapping for a child, or null if none
+     */
+    function activityMapping(msChildId) {
+        const mapping = state.activityMappings[msChildId];
+        return mapping && Object.keys(mapping).length > 0 ? mapping : null;
+    }
+
+    /**
+     * Devices matched by enforcement targets ('class:<type>' or 'device:<id>')
+     */
+    function selectDevices(devices, targets) {
+        return devices.filter(device =>
+            targets.includes(`device:${device.id}`) || targets.includes(`class:${device.type}`)
+        );
+    }
+
+    /**
+     * Devices that get their own limit - the selected targets, plus every
+     * device in a class mapped to an Allow2 activity
+     */
+    function enforcedDevices(devices, targets, mapping) {
+        return devices.filter(device =>
+            selectDevices([device], targets || []).length > 0 || !!(mapping && mapping[device.type])
+        );
+    }
+
+    /**
+     * Lift our limit from devices that were enforced before a change but are not now
+     * @param {Object[]} previous - Devices enforced before the change
+     */
+    async function releaseDevices(msChildId, previous) {
+        const current = enforcedDevices(previous, deviceTargets(msChildId), activityMapping(msChildId));
+        const released = previous.filter(device => !current.includes(device));
+
+        await syncEngine.exclusive(async () => {
+            for (const device of released) {
+                if (dryRunActive(msChildId)) {
+                    recordDryRun(msChildId, 'setDeviceScreenTimeLimit', {
+                        deviceId: device.id,
+                        deviceName: device.name,
+                        minutes: UNRESTRICTED_LIMIT,
+                        cause: 'release'
+                    });
+                    continue;
+                }
+                await familyService.setDeviceScreenTimeLimit(msChildId, device.id, UNRESTRICTED_LIMIT);
+            }
+        });
+    }
+
+    /**
+     * Read the Allow2 quota of each activity mapped for a child
+     * Returns { activityId: remainingMinutes }
+     */
+    async function readActivityQuotas(context, msChildId, allow2ChildId) {
+        const activities = [...new Set([
+            ...Object.values(activityMapping(msChildId) || {}),
+            ...Object.values(state.appRules[msChildId] || {}).map(rule => rule.activity)
+        ])];
+        const minutes = {};
+
+        for (const activity of activities) {
+            const quota = await context.allow2.getQuota(allow2ChildId, activity);
+            minutes[activity] = quota && quota.allowed && quota.remaining > 0
+                ? Math.floor(quota.remaining / 60)
+                : 0;
+        }
+
+        return minutes;
+    }
+
+    /**
+     * Sync strategy for a mapped activity whose quota went up or ran out
+     * since the last sync, or null
+     */
+    function activityChange(allow2ChildId, activityMinutes) {
+        const previous = state.quotaState[allow2ChildId]?.activityMinutes || {};
+
+        for (const [activity, minutes] of Object.entries(activityMinutes)) {
+            if (!(activity in previous) || minutes > previous[activity]) {
+                console.log('[MS Family] Activity', activity, 'quota increased, syncing immediately');
+                return 'increased';
+            }
+            if (minutes === 0 && previous[activity] > 0) {
+                console.log('[MS Family] Activity', activity, 'quota exhausted, syncing immediately');
+                return 'exhausted';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Re-read a child's devices into state.children[msChildId].devices
+     */
+    async function refreshDevices(msChildId, forceRefresh = false) {
+        const devices = await familyService.getDevices(msChildId, forceRefresh);
+
+        if (state.children[msChildId]) {
+            state.children[msChildId] = {
+                ...state.children[msChildId],
+                devices,
+                devicesUpdatedAt: Date.now()
+            };
+        }
+
+        return devices;
+    }
+
+    /**
+     * Write limits to each device a child is enforced on
+     * Devices keep their own usage counts, so each gets its usage plus the
+     * Allow2 time remaining for it (0 once that runs out).
+     * Returns { deviceId: minutes } - in a dry run, the limits that were recorded
+     * @param {Function} remainingFor - (device) => Allow2 minutes remaining
+     * @param {Object} details - Why the limits change, for the dry-run log
+     */
+    async function pushDeviceLimits(msChildId, remainingFor, blocked, details = {}) {
+        const devices = await refreshDevices(msChildId, true);
+        const targets = deviceTargets(msChildId);
+        const targeted = enforcedDevices(devices, targets, activityMapping(msChildId));
+
+        if (targets && selectDevices(devices, targets).length === 0) {
+            throw new Error('None of the selected devices are registered to this child');
+        }
+
+        const limits = {};
+        for (const device of targeted) {
+            const remaining = blocked ? 0 : remainingFor(device);
+            const minutes = remaining > 0 ? device.todayUsage + remaining : 0;
+            limits[device.id] = minutes;
+
+            if (dryRunActive(msChildId)) {
+                recordDryRun(msChildId, 'setDeviceScreenTimeLimit', {
+                    deviceId: device.id,
+                    deviceName: device.name,
+                    minutes,
+                    currentLimit: device.dailyLimit,
+                    ...details
+                });
+                continue;
+            }
+
+            await familyService.setDeviceScreenTimeLimit(msChildId, device.id, minutes);
+            device.dailyLimit = minutes;
+        }
+
+        return limits;
+    }
+
+    /**
+     * Re-read a child's apps and games into state.children[msChildId].apps
+     */
+    async function refreshApps(msChildId, forceRefresh = false) {
+        const apps = await familyService.getApps(msChildId, forceRefresh);
+
+        if (state.children[msChildId]) {
+            state.children[msChildId] = {
+                ...state.children[msChildId],
+                apps,
+                appsUpdatedAt: Date.now()
+            };
+        }
+
+        return apps;
+    }
+
+    /**
+     * Block each ruled app while its Allow2 activity is used up (or the
+     * child is disabled), and allow it again once time is back - only
+     * apps this plugin blocked are unblocked.
+     * Returns { appId: blocked } for the apps changed, or null when the
+     * child has no rules. Failures never hold up the screen time limit.
+     * A dry run keeps its own idea of what it blocked (rule.dryRunBlocked)
+     * so each change is recorded once.
+     */
+    async function enforceAppRules(msChildId, activityMinutes, disabled) {
+        const rules = state.appRules[msChildId];
+        if (!rules || Object.keys(rules).length === 0) {
+            return null;
+        }
+
+        const simulate = dryRunActive(msChildId);
+        const changed = {};
+        try {
+            const apps = await refreshApps(msChildId, true);
+
+            for (const [appId, rule] of Object.entries(rules)) {
+                const app = apps.find(candidate => candidate.id === appId);
+                if (!app) continue;
+
+                const block = disabled || activityMinutes[rule.activity] === 0;
+
+                if (simulate) {
+                    const wasBlocked = rule.dryRunBlocked ?? app.blocked;
+                    const ours = rule.dryRunBlocked || rule.blockedByAllow2;
+
+                    if ((block && !wasBlocked) || (!block && wasBlocked && ours)) {
+                        recordDryRun(msChildId, 'setAppBlocked', { appId, appName: app.name, blocked: block, cause: 'sync' });
+                        rule.dryRunBlocked = block;
+                        changed[appId] = block;
+                    }
+                    continue;
+                }
+                delete rule.dryRunBlocked;
+
+                if (block && !app.blocked) {
+                    await familyService.setAppBlocked(msChildId, appId, true);
+                    rule.blockedByAllow2 = true;
+                    app.blocked = true;
+                    changed[appId] = true;
+                } else if (!block && app.blocked && rule.blockedByAllow2) {
+                    await familyService.setAppBlocked(msChildId, appId, false);
+                    rule.blockedByAllow2 = false;
+                    app.blocked = false;
+                    changed[appId] = false;
+                }
+            }
+        } catch (error) {
+            console.error('[MS Family] Could not apply app rules for child', msChildId, ':', error.message);
+
+            if (error instanceof AuthExpiredError) {
+                throw error;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Key family members by id, keeping devices and apps already discovered
+     */
+    function indexChildren(children) {
+        return children.reduce((acc, child) => {
+            const previous = state.children[child.id] || {};
+            acc[child.id] = {
+                ...child,
+                ...(previous.devices && { devices: previous.devices, devicesUpdatedAt: previous.devicesUpdatedAt }),
+                ...(previous.apps && { apps: previous.apps, appsUpdatedAt: previous.appsUpdatedAt })
+            };
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Push a child's allowed hours when Microsoft's differ from the ones
+     * we want - the parent's manual schedule, or Allow2's time blocks
+     */
+    async function syncSchedule(context, msChildId, allow2ChildId, screenTime) {
+        const { simulatedAt, ...record } = state.schedules[msChildId] || { source: 'allow2' };
+        let desired = record.schedule;
+        let widened = record.widened || [];
+        let skipped = record.skipped || [];
+
+        if (record.source !== 'manual') {
+            const allow2Schedule = await readAllow2Schedule(context, allow2ChildId);
+            if (!allow2Schedule) {
+                return;
+            }
+
+            let current = null;
+            try {
+                current = screenTime && normalizeSchedule(screenTime.schedule);
+            } catch (error) {
+                // Unreadable - skipped days fall back to unrestricted
+            }
+
+            ({ schedule: desired, widened, skipped } = fromAllow2(allow2Schedule, current));
+            if (skipped.length > 0 && skipped.join() !== (record.skipped || []).join()) {
+                console.log('[MS Family] Unreadable Allow2 time blocks for child', msChildId,
+                    '- left unchanged:', skipped.join(', '));
+            }
+        }
+
+        if (!screenTime || !desired) {
+            return;
+        }
+
+        let unchanged = false;
+        try {
+            unchanged = schedulesEqual(screenTime.schedule, desired);
+        } catch (error) {
+            // Microsoft returned something we cannot read - overwrite it
+        }
+
+        if (unchanged) {
+            state.schedules[msChildId] = { ...record, schedule: desired, widened, skipped };
+            return;
+        }
+
+        // A dry run records a pending change once, not on every pass
+        if (dryRunActive(msChildId)) {
+            let repeated = false;
+            try {
+                repeated = !!simulatedAt && schedulesEqual(record.schedule, desired);
+            } catch (error) {
+                // Unreadable earlier schedule - record this one
+            }
+
+            if (!repeated) {
+                recordDryRun(msChildId, 'setSchedule', { source: record.source, cause: 'sync' });
+            }
+            state.schedules[msChildId] = {
+                ...record,
+                schedule: desired,
+                widened,
+                skipped,
+                simulatedAt: repeated ? simulatedAt : Date.now()
+            };
+            return;
+        }
+
+        console.log('[MS Family] Pushing allowed hours for child', msChildId, `(${record.source})`);
+
+        try {
+            await familyService.setSchedule(msChildId, desired);
+            state.schedules[msChildId] = {
+                ...record,
+                schedule: desired,
+                widened,
+                skipped,
+                appliedAt: Date.now(),
+                lastError: null
+            };
+        } catch (error) {
+            console.error('[MS Family] Could not set allowed hours for child', msChildId, ':', error.message);
+            state.schedules[msChildId] = { ...record, schedule: desired, widened, skipped, lastError: error.message };
+
+            if (error instanceof AuthExpiredError) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Allow2 day types and time blocks for a child, if the host provides them
+     */
+    async function readAllow2Schedule(context, allow2ChildId) {
+        if (typeof context.allow2.getSchedule !== 'function') {
+            return null;
+        }
+
+        try {
+            return await context.allow2.getSchedule(allow2ChildId);
+        } catch (error) {
+            console.error('[MS Family] Could not read Allow2 schedule for', allow2ChildId, ':', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Keep state.children current after the service re-reads the family
+     * (e.g. following a 404 for a child that was removed)
+     */
+    function handleFamilyMembersRefreshed(children) {
+        state.children = indexChildren(children);
+
+        for (const msChildId of Object.keys(state.childLinks)) {
+            if (!state.children[msChildId]) {
+                console.log('[MS Family] Linked child no longer in Microsoft Family:', msChildId);
+            }
+        }
+
+        context.configurationUpdate(state);
+    }
+
+    /**
+     * Write a limit to Microsoft Family and start verifying that it stuck
+     */
+    async function pushLimit(msChildId, minutes) {
+        let result;
+        try {
+            result = await familyService.setScreenTimeLimit(msChildId, minutes);
+        } catch (error) {
+            // Keep the limit so it is applied once Microsoft is reachable again
+            if (WriteOutbox.shouldQueue(error)) {
+                outbox.enqueue(msChildId, minutes, error);
+            }
+            throw error;
+        }
+
+        outbox.discard(msChildId);
+        limitVerifier.track(msChildId, minutes);
+        recordAppliedLimit(msChildId, minutes, result);
+        return result;
+    }
+
+    /**
+     * Note a limit the plugin wrote, so drift detection compares against
+     * it rather than reporting the plugin's own change as external
+     */
+    function recordAppliedLimit(msChildId, minutes, result) {
+        const allow2ChildId = state.childLinks[msChildId];
+        if (allow2ChildId && state.quotaState[allow2ChildId]) {
+            state.quotaState[allow2ChildId] = {
+                ...state.quotaState[allow2ChildId],
+                lastSyncMinutes: minutes,
+                appliedLimit: result.dailyLimit
+            };
+        }
+    }
+
+    /**
+     * pushLimit for the plugin's own enforcement - for a child in dry run
+     * the write is recorded instead and null returned
+     * @param {Object} details - Why the limit changes, for the dry-run log
+     */
+    async function enforceLimit(msChildId, minutes, details) {
+        if (dryRunActive(msChildId)) {
+            recordDryRun(msChildId, 'setScreenTimeLimit', { minutes, ...details });
+            return null;
+        }
+
+        return pushLimit(msChildId, minutes);
+    }
+
+    /**
+     * setWebFilter for the plugin's own actions - for a child in dry run
+     * the write is recorded instead and false returned
+     */
+    async function enforceWebFilter(msChildId, filter, details) {
+        if (dryRunActive(msChildId)) {
+            recordDryRun(msChildId, 'setWebFilter', { ...filter, ...details });
+            return false;
+        }
+
+        await familyService.setWebFilter(msChildId, filter);
+        return true;
+    }
+
+    /**
+     * Outbox write - replay a queued limit between sync passes
+     */
+    function replayLimit(msChildId, minutes) {
+        return syncEngine.exclusive(async () => {
+            // Dropped, or the account switched to or from sandbox, while this waited its turn
+            if (!outbox.has(msChildId)) {
+                return null;
+            }
+
+            const result = await familyService.setScreenTimeLimit(msChildId, minutes);
+            limitVerifier.track(msChildId, minutes);
+            recordAppliedLimit(msChildId, minutes, result);
+            return result;
+        });
+    }
+
+    /**
+     * Start replaying queued limit writes if there are any
+     */
+    function replayOutbox() {
+        if (outbox.depth > 0 && familyService.isAuthenticated()) {
+            outbox.flush().catch(err => {
+                console.error('[MS Family] Outbox replay failed:', err);
+            });
+        }
+    }
+
+    /**
+     * Persist verification progress and warn when a limit did not apply
+     */
+    function handleVerificationChange(msChildId, record, previousStatus) {
+        state.verification[msChildId] = record;
+        context.configurationUpdate(state);
+
+        if (record.status === 'diverged' && previousStatus !== 'diverged') {
+            context.notification({
+                title: 'Screen Time Limit Not Applied',
+                message: `Microsoft Family did not accept the ${record.expectedLimit} minute limit for ${state.children[msChildId]?.name || 'a child'}`,
+                type: 'error'
+            });
+        }
+    }
+
+    /**
+     * Read a child's current Microsoft settings, bypassing the cache
+     * Returns { screenTime } or { error } - callers degrade gracefully
+     */
+    async function readScreenTime(msChildId) {
+        try {
+            return { screenTime: await familyService.getScreenTime(msChildId, true) };
+        } catch (error) {
+            console.error('[MS Family] Could not read screen time for child', msChildId, ':', error.message);
+            return { error };
+        }
+    }
+
+    /**
+     * Detect limits changed outside the plugin and apply the conflict policy
+     * Returns 'hold' to leave Microsoft's limit alone, 'restore' to push
+     * ours now, or null when there is nothing to reconcile
+     */
+    function reconcileExternalChanges(context, msChildId, allow2ChildId, screenTime, force) {
+        const existing = state.conflicts[msChildId];
+
+        if (existing) {
+            // Holds end at midnight, or when an action explicitly pushes a limit
+            if (force || Date.now() >= existing.until) {
+                console.log('[MS Family] Limit conflict ended for child', msChildId);
+                delete state.conflicts[msChildId];
+                return 'restore';
+            }
+
+            // The parent may keep adjusting the limit while it is held
+            if (screenTime) {
+                existing.externalLimit = screenTime.dailyLimit;
+            }
+            return 'hold';
+        }
+
+        const quotaState = state.quotaState[allow2ChildId];
+        const verification = state.verification[msChildId];
+
+        if (!screenTime || force || !quotaState?.lastSyncTime || typeof quotaState.appliedLimit !== 'number') {
+            return null;
+        }
+
+        // Our own write may still be propagating or may have failed to apply
+        if (verification && verification.status !== 'confirmed') {
+            return null;
+        }
+
+        if (screenTime.dailyLimit === quotaState.appliedLimit) {
+            return null;
+        }
+
+        const policy = state.settings.conflictPolicy;
+        const name = state.children[msChildId]?.name || 'A child';
+        const conflict = {
+            allow2ChildId,
+            expectedLimit: quotaState.appliedLimit,
+            externalLimit: screenTime.dailyLimit,
+            policy,
+            detectedAt: Date.now()
+        };
+
+        console.log('[MS Family] External limit change detected for child', msChildId, ':', conflict);
+
+        if (policy === 'microsoft') {
+            state.conflicts[msChildId] = { ...conflict, status: 'held', until: nextMidnight() };
+
+            context.notification({
+                title: 'Screen Time Changed in Microsoft Family',
+                message: `${name}'s limit was changed to ${conflict.externalLimit} minutes in the Microsoft Family app. Keeping it until midnight.`,
+                type: 'info'
+            });
+            return 'hold';
+        }
+
+        if (policy === 'ask') {
+            state.conflicts[msChildId] = { ...conflict, status: 'pending', until: nextMidnight() };
+
+            context.notification({
+                title: 'Screen Time Conflict',
+                message: `${name}'s limit was changed to ${conflict.externalLimit} minutes in the Microsoft Family app (Allow2 set ${conflict.expectedLimit}). Choose which to keep in the Microsoft Family plugin.`,
+                type: 'warning'
+            });
+            return 'hold';
+        }
+
+        context.notification({
+            title: 'Screen Time Changed in Microsoft Family',
+            message: `${name}'s limit was changed to ${conflict.externalLimit} minutes in the Microsoft Family app. Restoring the Allow2 limit.`,
+            type: 'warning'
+        });
+        return 'restore';
+    }
+
+    /**
+     * Work out today's Microsoft-measured usage for a child
+     * Returns { minutes, source, date } where source is:
+     *   'live'     - fresh figure from Microsoft
+     *   'stale'    - Microsoft reported less than we saw earlier today
+     *   'rollover' - Microsoft still reported yesterday's total after midnight
+     *   'cached'   - Microsoft unreachable, using the figure recorded earlier today
+     *   'none'     - no usage known for today
+     */
+    function readTodayUsage(allow2ChildId, { screenTime }) {
+        const now = Date.now();
+        const date = localDateKey(now);
+        const previous = state.quotaState[allow2ChildId];
+
+        // Usage only grows during a day, so the figure recorded earlier today is a floor
+        const knownMinutes = previous?.usageDate === date ? (previous.usageMinutes || 0) : 0;
+
+        if (!screenTime) {
+            return { minutes: knownMinutes, source: knownMinutes ? 'cached' : 'none', date };
+        }
+
+        const elapsed = minutesSinceMidnight(now);
+        let minutes = Math.max(0, Math.floor(screenTime.currentUsage || 0));
+        let source = 'live';
+
+        // More usage than minutes since midnight can only be yesterday's total
+        if (minutes > elapsed) {
+            minutes = Math.min(knownMinutes, elapsed);
+            source = 'rollover';
+        }
+
+        if (minutes < knownMinutes) {
+            minutes = knownMinutes;
+            source = 'stale';
+        }
+
+        return { minutes, source, date };
+    }
+
+    /**
+     * Determine sync strategy based on remaining time
+     * Returns the strategy that applies ('increased', 'exhausted',
+     * 'aggressive' or 'scheduled'), or null if no sync should occur
+     */
+    function determineSyncStrategy(allow2ChildId, newMinutes) {
+        const quotaState = state.quotaState[allow2ChildId];
+        // Only compare against a value we have actually synced before
+        const oldMinutes = quotaState?.lastSyncTime ? (quotaState.allow2Minutes ?? newMinutes) : newMinutes;
+        const lastSync = quotaState?.lastSyncTime || 0;
+        const elapsed = Date.now() - lastSync + SYNC_INTERVAL_TOLERANCE;
+
+        // IMMEDIATE: Quota increased - sync ASAP
+        if (newMinutes > oldMinutes) {
+            console.log('[MS Family] Quota increased, syncing immediately');
+            return 'increased';
+        }
+
+        // IMMEDIATE: Quota exhausted - disable access
+        if (newMinutes === 0 && oldMinutes > 0) {
+            console.log('[MS Family] Quota exhausted, syncing immediately');
+            return 'exhausted';
+        }
+
+        // AGGRESSIVE: Below threshold - sync every aggressiveSyncInterval
+        if (newMinutes < state.settings.aggressiveSyncThreshold) {
+            if (elapsed >= state.settings.aggressiveSyncInterval) {
+                console.log('[MS Family] Below threshold, aggressive sync');
+                return 'aggressive';
+            }
+        }
+
+        // NORMAL: Above threshold - sync on schedule
+        if (elapsed >= state.settings.syncInterval) {
+            console.log('[MS Family] Normal scheduled sync');
+            return 'scheduled';
+        }
+
+        return null;
+    }
+
+    /**
+     * Emit quotaExceeded / quotaRenewed when the Allow2 quota runs out or
+     * goes up, once per change
+     *
+     * Compared with the quota seen at the previous poll
+     * (quotaState.triggerMinutes), not the one last pushed - a held
+     * conflict or a failing push would otherwise repeat the trigger on
+     * every poll
+     *
+     * Payload: { allow2ChildId, msChildId, childName, previousMinutes,
+     *            newMinutes, timestamp }
+     * A dry run records the trigger instead of firing it
+     */
+    function emitQuotaTrigger(context, msChildId, allow2ChildId, newMinutes, simulate = false) {
+        const quotaState = state.quotaState[allow2ChildId] || {};
+        // Children synced before triggerMinutes existed start from their last push
+        const previousMinutes = quotaState.triggerMinutes
+            ?? (quotaState.lastSyncTime ? quotaState.allow2Minutes : null)
+            ?? newMinutes;
+
+        const triggerId = newMinutes === 0 && previousMinutes > 0 ? 'quotaExceeded'
+            : newMinutes > previousMinutes ? 'quotaRenewed'
+            : null;
+
+        const timestamp = Date.now();
+        state.quotaState[allow2ChildId] = {
+            ...quotaState,
+            triggerMinutes: newMinutes,
+            ...(triggerId && { lastTrigger: { id: triggerId, minutes: newMinutes, timestamp } })
+        };
+
+        if (!triggerId) {
+            return;
+        }
+
+        const payload = {
+            allow2ChildId,
+            msChildId,
+            childName: state.children[msChildId]?.name || null,
+            previousMinutes,
+            newMinutes,
+            timestamp
+        };
+
+        if (simulate) {
+            recordDryRun(msChildId, 'trigger', { triggerId, minutes: newMinutes, cause: 'sync' });
+            return;
+        }
+
+        console.log('[MS Family] Emitting trigger', triggerId, 'for Allow2 child', allow2ChildId);
+
+        if (typeof context.trigger === 'function') {
+            context.trigger(triggerId, payload);
+        } else {
+            console.log('[MS Family] Host does not support triggers, skipping', triggerId);
+        }
+    }
+
+    /**
+     * A lock ends at a future time, or never (null/undefined = until unlocked)
+     */
+    function validateLockEnd(until) {
+        if (until != null && !(Number.isFinite(until) && until > Date.now())) {
+            throw new Error('A lock must end in the future');
+        }
+    }
+
+    /**
+     * Setup IPC handlers for renderer communication
+     */
+    function setupIPCHandlers(context) {
+        // Registers like context.ipcMain, auditing the channels in AUDITED_CHANNELS
+        const ipcMain = {
+            handle: (channel, handler) => context.ipcMain.handle(channel, !AUDITED_CHANNELS.includes(channel)
+                ? handler
+                : async (event, params) => {
+                    const msChildId = params?.msChildId || null;
+                    // Read before the handler runs - unlinking removes the link
+                    const allow2ChildId = params?.allow2ChildId || state.childLinks[msChildId] || null;
+                    const response = await handler(event, params);
+
+                    recordAudit({
+                        type: 'action',
+                        action: channel.replace(/^msFamily\./, ''),
+                        source: 'ui',
+                        msChildId,
+                        allow2ChildId,
+                        params: params || null,
+                        error: response[0] ? response[0].message : null
+                    });
+                    context.configurationUpdate(state);
+
+                    return response;
+                })
+        };
+
+        // Authenticate with Microsoft Account
+        ipcMain.handle('msFamily.authenticate', async (event) => {
+            try {
+                console.log('[MS Family IPC] Starting authentication...');
+
+                await ready;
+
+                const result = await familyService.authenticate();
+
+                const wasReauthRequired = state.reauthRequired;
+
+                // Save tokens to state (encrypted)
+                state.authenticated = true;
+                state.tokenExpiry = result.expiresAt;
+                state.reauthRequired = false;
+                state.reauthReason = null;
+                state.lastSync = Date.now();
+                saveCredentials();
+
+                context.configurationUpdate(state);
+                scheduleTokenRenewal(context);
+                replayOutbox();
+
+                if (wasReauthRequired) {
+                    context.statusUpdate({
+                        status: 'connected',
+                        message: 'Microsoft Family plugin active',
+                        timestamp: Date.now()
+                    });
+                }
+
+                return [null, {
+                    success: true,
+                    expiresAt: result.expiresAt
+                }];
+            } catch (error) {
+                console.error('[MS Family IPC] Authentication failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Get children from Microsoft Family
+        ipcMain.handle('msFamily.getChildren', async (event) => {
+            try {
+                console.log('[MS Family IPC] Getting children...');
+
+                const members = await familyService.getFamilyMembers();
+
+                // Update state
+                state.children = indexChildren(members);
+
+                // Device inventory - a child whose devices cannot be read keeps the last known list
+                for (const msChildId of Object.keys(state.children)) {
+                    try {
+                        await refreshDevices(msChildId);
+                    } catch (error) {
+                        console.error('[MS Family IPC] Could not read devices for', msChildId, ':', error.message);
+                    }
+                }
+                context.configurationUpdate(state);
+
+                return [null, { children: Object.values(state.children) }];
+            } catch (error) {
+                console.error('[MS Family IPC] Failed to get children:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Link MS Family child to Allow2 child
+        ipcMain.handle('msFamily.linkChild', async (event, { msChildId, allow2ChildId, dryRun = false }) => {
+            try {
+                console.log('[MS Family IPC] Linking child:', msChildId, '->', allow2ChildId, dryRun ? '(dry run)' : '');
+
+                state.childLinks[msChildId] = allow2ChildId;
+
+                // A new link can be watched in dry run before it touches the child's devices
+                if (dryRun) {
+                    state.dryRunChildren[msChildId] = Date.now();
+                }
+
+                // Initialize quota state for this child
+                state.quotaState[allow2ChildId] = {
+                    lastSyncTime: 0,
+                    lastSyncMinutes: 0,
+                    allow2Minutes: 0
+                };
+
+                syncScheduler.setChildren(Object.keys(state.childLinks));
+                context.configurationUpdate(state);
+
+                return [null, { success: true }];
+            } catch (error) {
+                console.error('[MS Family IPC] Link child failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Unlink MS Family child
+        ipcMain.handle('msFamily.unlinkChild', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Unlinking child:', msChildId);
+
+                // Nothing would lift a browsing restriction once the child is unlinked
+                const restriction = state.webRestrictions[msChildId];
+                if (restriction) {
+                    try {
+                        await syncEngine.exclusive(() =>
+                            enforceWebFilter(msChildId, restriction.previous, { cause: 'unlink' }));
+                    } catch (error) {
+                        throw new Error(`Could not restore browsing before unlinking: ${error.message}`);
+                    }
+                }
+
+                const allow2ChildId = state.childLinks[msChildId];
+                delete state.childLinks[msChildId];
+
+                limitVerifier.forget(msChildId);
+                outbox.discard(msChildId);
+                usageHistory.forget(msChildId);
+                delete state.usageReports[msChildId];
+                syncScheduler.setChildren(Object.keys(state.childLinks));
+                delete state.verification[msChildId];
+                delete state.schedules[msChildId];
+                delete state.enforcement[msChildId];
+                delete state.activityMappings[msChildId];
+                delete state.appRules[msChildId];
+                delete state.webRestrictions[msChildId];
+                delete state.grants[msChildId];
+                scheduleGrantExpiry();
+                delete state.locks.children[msChildId];
+                scheduleLockExpiry();
+                delete state.conflicts[msChildId];
+                delete state.dryRunChildren[msChildId];
+
+                if (allow2ChildId) {
+                    delete state.quotaState[allow2ChildId];
+                    delete state.disabledChildren[allow2ChildId];
+                }
+
+                context.configurationUpdate(state);
+
+                return [null, { success: true }];
+            } catch (error) {
+                console.error('[MS Family IPC] Unlink child failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Get screen time for a child
+        ipcMain.handle('msFamily.getScreenTime', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Getting screen time for:', msChildId);
+
+                const screenTime = await familyService.getScreenTime(msChildId);
 
                 return [null, screenTime];
             } catch (error) {
-                console.error('[MS Family IPC] Get screen time failed:', error);
+                console.error('[MS Family IPC] Get screen time failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Set screen time limit manually
+        ipcMain.handle('msFamily.setScreenTime', async (event, { msChildId, minutes }) => {
+            try {
+                console.log('[MS Family IPC] Setting screen time:', msChildId, '->', minutes, 'minutes');
+
+                const result = await syncEngine.exclusive(() => pushLimit(msChildId, minutes));
+                context.configurationUpdate(state);
+
+                return [null, result];
+            } catch (error) {
+                console.error('[MS Family IPC] Set screen time failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Re-read a child's devices and their current limits
+        ipcMain.handle('msFamily.getDevices', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Getting devices:', msChildId);
+
+                const devices = await refreshDevices(msChildId, true);
+                context.configurationUpdate(state);
+
+                return [null, { devices, targets: state.enforcement[msChildId]?.targets || [] }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get devices failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Choose which devices a child's limit is enforced on ([] = whole account)
+        ipcMain.handle('msFamily.setEnforcementTargets', async (event, { msChildId, targets }) => {
+            try {
+                const classes = [...MicrosoftFamilyService.DEVICE_CLASSES, 'other'];
+                const invalid = (targets || []).filter(target => {
+                    const [kind, value] = String(target).split(/:(.*)/);
+                    return !(kind === 'class' && classes.includes(value)) && !(kind === 'device' && value);
+                });
+
+                if (!Array.isArray(targets) || invalid.length > 0) {
+                    throw new Error(`Invalid enforcement targets: ${invalid.join(', ') || targets}`);
+                }
+
+                console.log('[MS Family IPC] Setting enforcement targets:', msChildId, '->', targets);
+
+                const previous = enforcedDevices(state.children[msChildId]?.devices || [],
+                    deviceTargets(msChildId), activityMapping(msChildId));
+                state.enforcement[msChildId] = { targets };
+
+                // Devices dropped from enforcement should not stay capped at our last limit
+                await releaseDevices(msChildId, previous);
+
+                const result = state.childLinks[msChildId] ? await syncChildNow(msChildId) : null;
+                context.configurationUpdate(state);
+
+                return [null, { success: true, targets, result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set enforcement targets failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Map device classes to Allow2 activities, e.g. { xbox: 3 } for Gaming ({} = none)
+        ipcMain.handle('msFamily.setActivityMapping', async (event, { msChildId, mapping }) => {
+            try {
+                const classes = [...MicrosoftFamilyService.DEVICE_CLASSES, 'other'];
+                const activities = ALLOW2_ACTIVITIES.map(activity => activity.id);
+                const invalid = Object.entries(mapping || {}).filter(([deviceClass, activity]) =>
+                    !classes.includes(deviceClass) || !activities.includes(activity)
+                );
+
+                if (!mapping || typeof mapping !== 'object' || invalid.length > 0) {
+                    throw new Error(`Invalid activity mapping: ${invalid.map(([key]) => key).join(', ') || mapping}`);
+                }
+
+                console.log('[MS Family IPC] Setting activity mapping:', msChildId, '->', mapping);
+
+                const previous = enforcedDevices(state.children[msChildId]?.devices || [],
+                    deviceTargets(msChildId), activityMapping(msChildId));
+                state.activityMappings[msChildId] = { ...mapping };
+
+                // A class that is no longer mapped goes back to the child's main limit
+                await releaseDevices(msChildId, previous);
+
+                const result = state.childLinks[msChildId] ? await syncChildNow(msChildId) : null;
+                context.configurationUpdate(state);
+
+                return [null, { success: true, mapping: state.activityMappings[msChildId], result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set activity mapping failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // List a child's apps and games with their current policies
+        ipcMain.handle('msFamily.getApps', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Getting apps:', msChildId);
+
+                const apps = await refreshApps(msChildId, true);
+                context.configurationUpdate(state);
+
+                return [null, { apps, rules: state.appRules[msChildId] || {} }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get apps failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Set one app's daily limit (minutes: null removes it)
+        ipcMain.handle('msFamily.setAppLimit', async (event, { msChildId, appId, minutes }) => {
+            try {
+                if (minutes !== null && !(Number.isInteger(minutes) && minutes >= 0 && minutes <= 1440)) {
+                    throw new Error('App limit must be a whole number of minutes between 0 and 1440');
+                }
+
+                console.log('[MS Family IPC] Setting app limit:', msChildId, appId, '->', minutes);
+
+                const result = await syncEngine.exclusive(() => familyService.setAppLimit(msChildId, appId, minutes));
+                await refreshApps(msChildId, true);
+                context.configurationUpdate(state);
+
+                return [null, result];
+            } catch (error) {
+                console.error('[MS Family IPC] Set app limit failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Block or allow one app by hand
+        ipcMain.handle('msFamily.blockApp', async (event, { msChildId, appId, blocked }) => {
+            try {
+                console.log('[MS Family IPC]', blocked ? 'Blocking' : 'Allowing', 'app:', msChildId, appId);
+
+                const result = await syncEngine.exclusive(() => familyService.setAppBlocked(msChildId, appId, !!blocked));
+
+                // A manual choice is the parent's, not ours to undo later
+                const rule = state.appRules[msChildId]?.[appId];
+                if (rule) {
+                    rule.blockedByAllow2 = false;
+                }
+
+                await refreshApps(msChildId, true);
+                context.configurationUpdate(state);
+
+                return [null, result];
+            } catch (error) {
+                console.error('[MS Family IPC] Block app failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Block an app whenever an Allow2 activity's quota runs out (activity: null removes the rule)
+        ipcMain.handle('msFamily.setAppRule', async (event, { msChildId, appId, activity }) => {
+            try {
+                if (activity !== null && !ALLOW2_ACTIVITIES.some(candidate => candidate.id === activity)) {
+                    throw new Error(`Unknown Allow2 activity: ${activity}`);
+                }
+
+                console.log('[MS Family IPC] Setting app rule:', msChildId, appId, '->', activity);
+
+                const rules = state.appRules[msChildId] = state.appRules[msChildId] || {};
+                const previous = rules[appId];
+
+                if (activity === null) {
+                    delete rules[appId];
+
+                    // Don't leave the app blocked by a rule that no longer exists
+                    if (previous && previous.blockedByAllow2) {
+                        await syncEngine.exclusive(() => familyService.setAppBlocked(msChildId, appId, false));
+                    }
+                } else {
+                    rules[appId] = { activity, blockedByAllow2: !!(previous && previous.blockedByAllow2) };
+                }
+
+                const result = state.childLinks[msChildId] ? await syncChildNow(msChildId) : null;
+                context.configurationUpdate(state);
+
+                return [null, { success: true, rules, result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set app rule failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Get a child's web filter and site lists
+        ipcMain.handle('msFamily.getWebFilter', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Getting web filter:', msChildId);
+
+                const filter = await familyService.getWebFilter(msChildId, true);
+
+                return [null, { ...filter, restriction: state.webRestrictions[msChildId] || null }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get web filter failed:', error);
                 return [{ message: error.message }];
             }
         });
 
-        // Set screen time limit manually
-        context.ipcMain.handle('msFamily.setScreenTime', async (event, { msChildId, minutes }) => {
+        // Update a child's web filter - any of enabled, allowListOnly, allowedSites, blockedSites
+        ipcMain.handle('msFamily.setWebFilter', async (event, { msChildId, filter }) => {
             try {
-                console.log('[MS Family IPC] Setting screen time:', msChildId, '->', minutes, 'minutes');
+                console.log('[MS Family IPC] Setting web filter:', msChildId);
+
+                const changes = { ...filter };
+
+                // While an action holds browsing to the allow list, the parent's
+                // switches become what restoreBrowsing goes back to
+                const restriction = state.webRestrictions[msChildId];
+                if (restriction) {
+                    for (const key of ['enabled', 'allowListOnly']) {
+                        if (changes[key] !== undefined) {
+                            restriction.previous[key] = !!changes[key];
+                            delete changes[key];
+                        }
+                    }
+                }
 
-                const result = await familyService.setScreenTimeLimit(msChildId, minutes);
+                if (Object.keys(changes).length > 0) {
+                    await syncEngine.exclusive(() => familyService.setWebFilter(msChildId, changes));
+                }
+                const updated = await familyService.getWebFilter(msChildId, true);
+                context.configurationUpdate(state);
 
-                return [null, result];
+                return [null, { ...updated, restriction: restriction || null }];
             } catch (error) {
-                console.error('[MS Family IPC] Set screen time failed:', error);
+                console.error('[MS Family IPC] Set web filter failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Give a child temporary time - minutes: null for unlimited, expiresAt: null for end of day
+        ipcMain.handle('msFamily.addGrant', async (event, { msChildId, minutes, expiresAt }) => {
+            try {
+                if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0 && minutes <= 1440)) {
+                    throw new Error('Granted time must be a whole number of minutes between 1 and 1440');
+                }
+                if (expiresAt != null && !(Number.isFinite(expiresAt) && expiresAt > Date.now())) {
+                    throw new Error('A grant must end in the future');
+                }
+
+                console.log('[MS Family IPC] Adding grant:', msChildId, minutes === null ? 'unlimited' : `${minutes} minutes`);
+
+                const { grant, result } = await addGrant(msChildId, minutes, expiresAt);
+
+                return [null, { success: true, grant, result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Add grant failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // End a grant early
+        ipcMain.handle('msFamily.revokeGrant', async (event, { msChildId, grantId }) => {
+            try {
+                console.log('[MS Family IPC] Revoking grant:', msChildId, grantId);
+
+                const { result } = await revokeGrant(msChildId, grantId);
+
+                return [null, { success: true, result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Revoke grant failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Lock a child now - until: timestamp, or null until unlocked
+        ipcMain.handle('msFamily.lockChild', async (event, { msChildId, until }) => {
+            try {
+                validateLockEnd(until);
+
+                console.log('[MS Family IPC] Locking child:', msChildId, until ? `until ${new Date(until).toISOString()}` : 'until unlocked');
+
+                await ready;
+                const results = await addLock(msChildId, until ?? null);
+
+                return [null, { success: true, locks: state.locks, results }];
+            } catch (error) {
+                console.error('[MS Family IPC] Lock child failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Lift a child's own lock
+        ipcMain.handle('msFamily.unlockChild', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Unlocking child:', msChildId);
+
+                const results = await removeLock(msChildId);
+
+                return [null, { success: true, locks: state.locks, results }];
+            } catch (error) {
+                console.error('[MS Family IPC] Unlock child failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Lock every linked child now
+        ipcMain.handle('msFamily.lockFamily', async (event, { until } = {}) => {
+            try {
+                validateLockEnd(until);
+
+                console.log('[MS Family IPC] Locking family', until ? `until ${new Date(until).toISOString()}` : 'until unlocked');
+
+                await ready;
+                const results = await addLock(null, until ?? null);
+
+                return [null, { success: true, locks: state.locks, results }];
+            } catch (error) {
+                console.error('[MS Family IPC] Lock family failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Lift the family lock
+        ipcMain.handle('msFamily.unlockFamily', async (event) => {
+            try {
+                console.log('[MS Family IPC] Unlocking family');
+
+                const results = await removeLock(null);
+
+                return [null, { success: true, locks: state.locks, results }];
+            } catch (error) {
+                console.error('[MS Family IPC] Unlock family failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Daily usage for the last `days` days (default a week), oldest first,
+        // with totals for those days and the same span before them
+        ipcMain.handle('msFamily.getUsageHistory', async (event, { msChildId, days = 7 }) => {
+            try {
+                const retention = state.settings.usageHistoryDays;
+                if (!Number.isInteger(days) || days < 1 || days > retention) {
+                    throw new Error(`days must be between 1 and ${retention}`);
+                }
+
+                console.log('[MS Family IPC] Getting usage history:', msChildId, days, 'days');
+
+                const before = new Date();
+                before.setDate(before.getDate() - days);
+
+                const history = usageHistory.getDays(msChildId, days);
+                const previous = usageHistory.getDays(msChildId, days, before.getTime());
+
+                return [null, {
+                    msChildId,
+                    allow2ChildId: state.childLinks[msChildId] || null,
+                    days: history,
+                    summary: UsageHistory.summarize(history),
+                    previous: UsageHistory.summarize(previous),
+                    retentionDays: retention
+                }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get usage history failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Audit entries, newest first - filter: { msChildId, type, since, search }
+        ipcMain.handle('msFamily.getAuditLog', async (event, { filter, limit = 200 } = {}) => {
+            try {
+                const entries = filterEntries(state.auditLog, filter);
+
+                return [null, {
+                    entries: entries.slice(0, limit),
+                    total: entries.length,
+                    exportPath: path.join(os.homedir(), 'Downloads', `ms-family-audit-${localDateKey()}`)
+                }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get audit log failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Write the (filtered) audit log to a file as 'csv' or 'json'
+        ipcMain.handle('msFamily.exportAuditLog', async (event, { format, path: filePath, filter }) => {
+            try {
+                if (!['csv', 'json'].includes(format)) {
+                    throw new Error(`Unknown export format: ${format}`);
+                }
+                if (!filePath || !path.isAbsolute(filePath)) {
+                    throw new Error('Choose a full path to export to');
+                }
+
+                // Oldest first, as a log reads
+                const entries = filterEntries(state.auditLog, filter).reverse();
+
+                console.log('[MS Family IPC] Exporting', entries.length, 'audit entries to', filePath);
+
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.writeFile(filePath, format === 'csv' ? toCsv(entries) : toJson(entries), 'utf8');
+
+                return [null, { success: true, path: filePath, count: entries.length }];
+            } catch (error) {
+                console.error('[MS Family IPC] Export audit log failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Pending "ask for more time" requests, polled now
+        ipcMain.handle('msFamily.getTimeRequests', async (event) => {
+            try {
+                console.log('[MS Family IPC] Getting time requests...');
+
+                const requests = await pollTimeRequests();
+
+                return [null, {
+                    requests,
+                    extensionsAvailable: typeof context.allow2.grantExtension === 'function'
+                }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get time requests failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Approve (with minutes) or deny a time request
+        ipcMain.handle('msFamily.respondToTimeRequest', async (event, { requestId, approve, minutes }) => {
+            try {
+                if (approve && !(Number.isInteger(minutes) && minutes > 0 && minutes <= 1440)) {
+                    throw new Error('Granted time must be a whole number of minutes between 1 and 1440');
+                }
+
+                console.log('[MS Family IPC]', approve ? 'Approving' : 'Denying', 'time request:', requestId);
+
+                const result = await respondToTimeRequest(requestId, !!approve, minutes);
+
+                return [null, { success: true, ...result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Respond to time request failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Get a child's allowed hours - live from Microsoft, plus where they come from
+        ipcMain.handle('msFamily.getSchedule', async (event, { msChildId }) => {
+            try {
+                console.log('[MS Family IPC] Getting schedule:', msChildId);
+
+                const screenTime = await familyService.getScreenTime(msChildId, true);
+                const record = state.schedules[msChildId] || { source: 'allow2' };
+
+                return [null, {
+                    schedule: screenTime.schedule,
+                    source: record.source,
+                    desired: record.schedule || null,
+                    widened: record.widened || [],
+                    skipped: record.skipped || [],
+                    allow2Available: typeof context.allow2.getSchedule === 'function',
+                    appliedAt: record.appliedAt || null,
+                    lastError: record.lastError || null
+                }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get schedule failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Set allowed hours by hand, or pass schedule: null to follow Allow2 again
+        ipcMain.handle('msFamily.setSchedule', async (event, { msChildId, schedule }) => {
+            try {
+                if (schedule === null) {
+                    console.log('[MS Family IPC] Following Allow2 schedule:', msChildId);
+
+                    state.schedules[msChildId] = { source: 'allow2' };
+                    if (state.childLinks[msChildId]) {
+                        await syncEngine.request([msChildId]);
+                    }
+                    context.configurationUpdate(state);
+
+                    return [null, { success: true, source: 'allow2', schedule: state.schedules[msChildId].schedule || null }];
+                }
+
+                console.log('[MS Family IPC] Setting schedule:', msChildId);
+
+                const normalized = normalizeSchedule(schedule);
+                const result = await syncEngine.exclusive(() => familyService.setSchedule(msChildId, normalized));
+
+                state.schedules[msChildId] = {
+                    source: 'manual',
+                    schedule: normalized,
+                    widened: [],
+                    skipped: [],
+                    appliedAt: Date.now(),
+                    lastError: null
+                };
+                context.configurationUpdate(state);
+
+                return [null, { success: true, source: 'manual', schedule: result.schedule }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set schedule failed:', error);
                 return [{ message: error.message }];
             }
         });
 
         // Get plugin status
-        context.ipcMain.handle('msFamily.getStatus', async (event) => {
+        ipcMain.handle('msFamily.getStatus', async (event) => {
             try {
+                // Tokens never leave the main process - only non-secret fields here
                 return [null, {
                     authenticated: state.authenticated,
+                    reauthRequired: !!state.reauthRequired,
+                    reauthReason: state.reauthReason || null,
                     children: state.children,
                     childLinks: state.childLinks,
                     quotaState: state.quotaState,
+                    disabledChildren: state.disabledChildren,
+                    verification: state.verification,
+                    conflicts: state.conflicts,
+                    outboxDepth: state.outbox.length,
+                    schedules: state.schedules,
+                    enforcement: state.enforcement,
+                    activityMappings: state.activityMappings,
+                    appRules: state.appRules,
+                    webRestrictions: state.webRestrictions,
+                    timeRequests: Object.values(state.timeRequests),
+                    grants: state.grants,
+                    locks: state.locks,
+                    extensionsAvailable: typeof context.allow2.grantExtension === 'function',
+                    usageReporting: typeof context.allow2.logUsage === 'function',
+                    usageReports: state.usageReports,
+                    dryRunChildren: state.dryRunChildren,
+                    activities: ALLOW2_ACTIVITIES,
+                    settings: state.settings,
+                    settingsSchema: SETTINGS_SCHEMA,
                     lastSync: state.lastSync,
-                    tokenExpiry: state.tokenExpiry
+                    tokenExpiry: state.tokenExpiry,
+                    schedule: syncScheduler.getSchedule(),
+                    credentialStorage: credentialStore.keySource.name
                 }];
             } catch (error) {
                 console.error('[MS Family IPC] Get status failed:', error);
@@ -448,8 +3430,201 @@ function plugin(context) {
             }
         });
 
+        // Choose how limits changed in the Microsoft Family app are handled
+        ipcMain.handle('msFamily.setConflictPolicy', async (event, { policy }) => {
+            try {
+                if (!Object.keys(SETTINGS_SCHEMA.conflictPolicy.options).includes(policy)) {
+                    throw new Error(`Unknown conflict policy: ${policy}`);
+                }
+
+                console.log('[MS Family IPC] Setting conflict policy:', policy);
+
+                state.settings.conflictPolicy = policy;
+                context.configurationUpdate(state);
+
+                return [null, { success: true, policy }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set conflict policy failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Turn reporting Microsoft usage to Allow2 on or off
+        ipcMain.handle('msFamily.setUsageReporting', async (event, { enabled }) => {
+            try {
+                if (typeof enabled !== 'boolean') {
+                    throw new Error('enabled must be true or false');
+                }
+
+                console.log('[MS Family IPC] Setting usage reporting:', enabled);
+
+                await applySettings({ ...state.settings, reportUsage: enabled });
+
+                return [null, { success: true, reportUsage: enabled, available: typeof context.allow2.logUsage === 'function' }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set usage reporting failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Dry run for one linked child, or for every child when msChildId is left out
+        ipcMain.handle('msFamily.setDryRun', async (event, { msChildId = null, enabled }) => {
+            try {
+                if (typeof enabled !== 'boolean') {
+                    throw new Error('enabled must be true or false');
+                }
+                if (msChildId && !state.childLinks[msChildId]) {
+                    throw new Error('Only a linked child can be put in dry run');
+                }
+
+                console.log('[MS Family IPC] Setting dry run:', msChildId || 'all children', '->', enabled);
+
+                return [null, { success: true, ...setDryRun(msChildId, enabled) }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set dry run failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Writes dry runs held back, newest first
+        ipcMain.handle('msFamily.getDryRunLog', async (event, { msChildId, limit = 100 } = {}) => {
+            try {
+                const entries = filterEntries(state.dryRunLog, { msChildId });
+
+                return [null, { entries: entries.slice(0, limit), total: entries.length }];
+            } catch (error) {
+                console.error('[MS Family IPC] Get dry run log failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        ipcMain.handle('msFamily.clearDryRunLog', async (event) => {
+            try {
+                state.dryRunLog = [];
+                context.configurationUpdate(state);
+
+                return [null, { success: true }];
+            } catch (error) {
+                console.error('[MS Family IPC] Clear dry run log failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Resolve a limit conflict: keep 'allow2' or 'microsoft'
+        ipcMain.handle('msFamily.resolveConflict', async (event, { msChildId, keep }) => {
+            try {
+                const conflict = state.conflicts[msChildId];
+
+                if (!conflict) {
+                    throw new Error('No limit conflict for this child');
+                }
+
+                console.log('[MS Family IPC] Resolving conflict for', msChildId, ': keep', keep);
+
+                if (keep === 'microsoft') {
+                    conflict.status = 'held';
+                    context.configurationUpdate(state);
+                    return [null, { success: true, conflict }];
+                }
+
+                if (keep !== 'allow2') {
+                    throw new Error(`Unknown resolution: ${keep}`);
+                }
+
+                delete state.conflicts[msChildId];
+
+                const result = state.childLinks[msChildId]
+                    ? await syncChildNow(msChildId)
+                    : null;
+
+                context.configurationUpdate(state);
+
+                return [null, { success: true, result }];
+            } catch (error) {
+                console.error('[MS Family IPC] Resolve conflict failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Switch between the real Microsoft Family API and the local simulator
+        ipcMain.handle('msFamily.setSandboxMode', async (event, { enabled }) => {
+            try {
+                await ready;
+
+                const sandboxMode = !!enabled;
+                if (sandboxMode === !!state.settings.sandboxMode) {
+                    return [null, { success: true, sandboxMode, authenticated: state.authenticated }];
+                }
+
+                console.log('[MS Family IPC] Sandbox mode', sandboxMode ? 'on' : 'off');
+
+                await applySettings({ ...state.settings, sandboxMode });
+
+                return [null, { success: true, sandboxMode, authenticated: state.authenticated }];
+            } catch (error) {
+                console.error('[MS Family IPC] Set sandbox mode failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Validate and apply settings from the settings card - nothing is
+        // saved if a value is rejected; clamped values come back as problems
+        ipcMain.handle('msFamily.saveSettings', async (event, { settings: values }) => {
+            try {
+                const { settings, problems } = validateSettings(values, state.settings);
+                const rejected = problems.filter(problem => problem.rejected);
+
+                if (rejected.length > 0) {
+                    return [{ message: rejected.map(problem => problem.message).join('; '), problems }];
+                }
+
+                console.log('[MS Family IPC] Saving settings');
+
+                const changed = await applySettings(settings);
+
+                return [null, { success: true, settings: state.settings, changed, problems, authenticated: state.authenticated }];
+            } catch (error) {
+                console.error('[MS Family IPC] Save settings failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Script simulator failures (sandbox mode only)
+        ipcMain.handle('msFamily.sandboxInjectFailure', async (event, rule) => {
+            try {
+                if (!state.settings.sandboxMode || !simulator) {
+                    throw new Error('Sandbox mode is not enabled');
+                }
+
+                console.log('[MS Family IPC] Injecting simulator failure:', rule);
+                simulator.injectFailure(rule);
+
+                return [null, { success: true }];
+            } catch (error) {
+                console.error('[MS Family IPC] Inject failure failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
+        // Have a simulated child ask for more time
+        ipcMain.handle('msFamily.sandboxRequestTime', async (event, { msChildId, minutes, message }) => {
+            try {
+                if (!state.settings.sandboxMode || !simulator) {
+                    throw new Error('Sandbox mode is not enabled');
+                }
+
+                console.log('[MS Family IPC] Simulating time request:', msChildId, minutes);
+                simulator.requestTime(msChildId, minutes, message);
+
+                return [null, { success: true, requests: await pollTimeRequests() }];
+            } catch (error) {
+                console.error('[MS Family IPC] Simulate time request failed:', error);
+                return [{ message: error.message }];
+            }
+        });
+
         // Force sync quotas now
-        context.ipcMain.handle('msFamily.syncNow', async (event) => {
+        ipcMain.handle('msFamily.syncNow', async (event) => {
             try {
                 console.log('[MS Family IPC] Force syncing quotas...');
 
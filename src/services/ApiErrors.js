@@ -0,0 +1,66 @@
+/**
+ * Microsoft Family API Errors
+ *
+ * Typed errors raised by MicrosoftFamilyService so callers can react to
+ * the kind of failure rather than parsing messages:
+ *
+ *   AuthExpiredError - 401, token no longer accepted (renew or re-authenticate)
+ *   NotFoundError    - 404, child or family no longer exists
+ *   TransientError   - 5xx, 429, timeouts and network failures (safe to retry)
+ */
+
+'use strict';
+
+class ApiError extends Error {
+    constructor(message, { status = null, endpoint = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.endpoint = endpoint;
+    }
+}
+
+class AuthExpiredError extends ApiError {}
+
+class NotFoundError extends ApiError {}
+
+class TransientError extends ApiError {
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, details);
+        this.retryAfter = retryAfter; // ms the server asked us to wait, if any
+    }
+}
+
+/**
+ * Map a non-OK fetch response to a typed error
+ */
+function errorForResponse(response, endpoint) {
+    const message = `API request failed: ${response.status} ${response.statusText}`;
+    const details = { status: response.status, endpoint };
+
+    if (response.status === 401) {
+        return new AuthExpiredError(message, details);
+    }
+
+    if (response.status === 404) {
+        return new NotFoundError(message, details);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+        const retryAfter = parseInt(response.headers && response.headers.get('retry-after'));
+        return new TransientError(message, {
+            ...details,
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+        });
+    }
+
+    return new ApiError(message, details);
+}
+
+module.exports = {
+    ApiError,
+    AuthExpiredError,
+    NotFoundError,
+    TransientError,
+    errorForResponse
+};
@@ -0,0 +1,79 @@
+/**
+ * Audit Log
+ *
+ * Filtering and export for the plugin's audit entries (state.auditLog).
+ * Entries are flat objects, oldest first:
+ *   {
+ *     timestamp, type, action,      // e.g. 'sync' / 'pushed', 'action' / 'setScreenTime'
+ *     source,                       // 'sync' | 'ui' | 'automation' | 'timer' (older entries may lack it)
+ *     msChildId, allow2ChildId,
+ *     ...details,                   // strategy, allow2Minutes, limit, result, params ...
+ *     error                         // message, or null
+ *   }
+ *
+ * Types: 'sync' (a sync decision), 'action' (a parent or automation
+ * change), 'timeRequest', 'grant' and 'lock'.
+ */
+
+'use strict';
+
+// Leading CSV columns; every other field goes into `details` as JSON
+const CSV_COLUMNS = ['timestamp', 'type', 'action', 'source', 'msChildId', 'allow2ChildId', 'error'];
+
+/**
+ * Entries matching a filter, newest first
+ * @param {Object} filter - { msChildId, type, since, search } - all optional
+ */
+function filterEntries(entries, filter = {}) {
+    const search = filter.search ? String(filter.search).toLowerCase() : null;
+
+    return entries
+        .filter(entry =>
+            (!filter.msChildId || entry.msChildId === filter.msChildId) &&
+            (!filter.type || entry.type === filter.type) &&
+            (!filter.since || entry.timestamp >= filter.since) &&
+            (!search || JSON.stringify(entry).toLowerCase().includes(search))
+        )
+        .reverse();
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per entry, timestamps in ISO 8601
+ */
+function toCsv(entries) {
+    const rows = entries.map(entry => {
+        const details = { ...entry };
+        CSV_COLUMNS.forEach(column => delete details[column]);
+
+        return [
+            new Date(entry.timestamp).toISOString(),
+            ...CSV_COLUMNS.slice(1).map(column => entry[column]),
+            Object.keys(details).length > 0 ? details : null
+        ].map(csvField).join(',');
+    });
+
+    return [[...CSV_COLUMNS, 'details'].join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toJson(entries) {
+    return JSON.stringify(entries.map(entry => ({
+        ...entry,
+        time: new Date(entry.timestamp).toISOString()
+    })), null, 2);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    filterEntries,
+    toCsv,
+    toJson
+};
@@ -0,0 +1,422 @@
+/**
+ * Microsoft Family Simulator
+ *
+ * Local stand-in for the Microsoft Family Mobile API, used by sandbox mode
+ * so enforcement can be developed and tested without a real family account.
+ *
+ * Plug it into MicrosoftFamilyService as the transport:
+ *
+ *   const simulator = new FamilySimulator();
+ *   new MicrosoftFamilyService({
+ *       baseUrl: FamilySimulator.BASE_URL,
+ *       transport: simulator.transport,
+ *       signIn: simulator.signIn
+ *   });
+ *
+ * Implements /getFamilyInfo, /getScreenTimeSettings, /setScreenTimeLimit,
+ * /setScreenTimeSchedule, /getDevices, /setDeviceScreenTimeLimit,
+ * /getAppPolicies, /setAppPolicy, /getWebRestrictions,
+ * /setWebRestrictions, /getPendingRequests, /respondToRequest and the
+ * OAuth token endpoint. Children are stateful and their usage ticks
+ * upward until their limit is reached. Children can ask for more time
+ * with requestTime(). Failures can be scripted
+ * with injectFailure().
+ */
+
+'use strict';
+
+const BASE_URL = 'https://familymobile.simulator.local';
+
+const DEFAULT_CHILDREN = [
+    {
+        userId: 'sim-child-1', firstName: 'Sam', lastName: 'Sandbox', age: 10,
+        devices: [
+            { deviceId: 'sim-pc-1', deviceType: 'Windows', deviceName: "Sam's Laptop" },
+            { deviceId: 'sim-xbox-1', deviceType: 'Xbox', deviceName: 'Living Room Xbox' }
+        ],
+        apps: [
+            { appId: 'sim-minecraft', displayName: 'Minecraft', category: 'Game', platforms: ['Xbox', 'Windows'] },
+            { appId: 'sim-fortnite', displayName: 'Fortnite', category: 'Game', platforms: ['Xbox'] },
+            { appId: 'sim-word', displayName: 'Microsoft Word', category: 'App', platforms: ['Windows'] }
+        ]
+    },
+    {
+        userId: 'sim-child-2', firstName: 'Alex', lastName: 'Sandbox', age: 14,
+        devices: [
+            { deviceId: 'sim-phone-2', deviceType: 'Android', deviceName: "Alex's Phone" }
+        ],
+        apps: [
+            { appId: 'sim-roblox', displayName: 'Roblox', category: 'Game', platforms: ['Android'] },
+            { appId: 'sim-teams', displayName: 'Microsoft Teams', category: 'App', platforms: ['Android'] }
+        ]
+    }
+];
+
+class FamilySimulator {
+    constructor(config = {}) {
+        this.config = {
+            usageRate: 1, // Simulated minutes of usage per real minute
+            tokenLifetime: 3600, // Seconds
+            children: DEFAULT_CHILDREN,
+            ...config
+        };
+
+        this.familyId = 'sim-family';
+        this.tokens = new Map(); // accessToken -> expiry
+        this.refreshTokens = new Set();
+        this.failures = []; // scripted failure rules, consumed in order
+        this.tokenCounter = 0;
+        this.requests = []; // pending "ask for more time" requests
+        this.requestCounter = 0;
+
+        this.children = new Map();
+        for (const child of this.config.children) {
+            this.children.set(child.userId, {
+                ...child,
+                email: `${child.firstName.toLowerCase()}@sandbox.local`,
+                isChild: true,
+                enabled: true,
+                dailyLimitMinutes: 120,
+                usageMinutes: 0,
+                schedule: {},
+                webFilter: { filterEnabled: false, allowListOnly: false, allowedSites: [], blockedSites: [] },
+                devices: (child.devices || []).map(device => ({
+                    ...device,
+                    enabled: false,
+                    dailyLimitMinutes: null,
+                    usageMinutes: 0,
+                    lastSeen: Date.now()
+                })),
+                apps: (child.apps || []).map(app => ({
+                    ...app,
+                    blocked: false,
+                    dailyLimitMinutes: null,
+                    usageMinutes: 0,
+                    lastUsed: null
+                }))
+            });
+        }
+
+        this.day = new Date().toDateString();
+        this.lastTick = Date.now();
+
+        // Bound so they can be handed to MicrosoftFamilyService directly
+        this.transport = this.transport.bind(this);
+        this.signIn = this.signIn.bind(this);
+    }
+
+    /**
+     * Stand-in for the interactive browser sign-in
+     */
+    async signIn() {
+        return this.issueTokens();
+    }
+
+    /**
+     * Script failures for upcoming requests
+     * @param {Object} rule
+     * @param {string} [rule.endpoint] - Only match this path (e.g. '/setScreenTimeLimit')
+     * @param {number} [rule.status] - Respond with this HTTP status (401, 404, 500...)
+     * @param {number} [rule.delay] - Wait this many ms before responding (slow response)
+     * @param {number} [rule.times=1] - How many matching requests the rule applies to
+     */
+    injectFailure(rule) {
+        this.failures.push({ times: 1, ...rule });
+    }
+
+    /**
+     * Have a child ask for more time, as from the lock screen
+     */
+    requestTime(userId, minutes = 30, message = null) {
+        const child = this.children.get(userId);
+        if (!child) {
+            throw new Error(`Unknown simulated child: ${userId}`);
+        }
+
+        this.requestCounter++;
+        const request = {
+            requestId: `sim-request-${this.requestCounter}`,
+            userId,
+            requestType: 'ScreenTime',
+            requestedMinutes: minutes,
+            deviceName: child.devices.length > 0 ? child.devices[0].deviceName : null,
+            message,
+            createdAt: new Date().toISOString()
+        };
+        this.requests.push(request);
+        return request;
+    }
+
+    /**
+     * Drop all scripted failures
+     */
+    clearFailures() {
+        this.failures = [];
+    }
+
+    /**
+     * fetch()-compatible transport
+     */
+    async transport(url, options = {}) {
+        const path = new URL(url).pathname;
+        const failure = this.takeFailure(path);
+
+        if (failure && failure.delay) {
+            await this.wait(failure.delay, options.signal);
+        }
+
+        if (failure && failure.status) {
+            return this.respond(failure.status, { error: 'Simulated', message: `Simulated ${failure.status}` });
+        }
+
+        if (path.endsWith('/oauth20_token.srf')) {
+            return this.handleTokenRequest(options.body);
+        }
+
+        const auth = (options.headers && options.headers['Authorization']) || '';
+        const expiry = this.tokens.get(auth.replace(/^Bearer /, ''));
+        if (!expiry || Date.now() >= expiry) {
+            return this.respond(401, { error: 'Unauthorized', message: 'Invalid or expired access token' });
+        }
+
+        this.tick();
+
+        const body = options.body ? JSON.parse(options.body) : {};
+
+        switch (path) {
+            case '/getFamilyInfo':
+                return this.respond(200, this.familyInfo());
+            case '/getScreenTimeSettings':
+                return this.withChild(body.userId, child => this.respond(200, this.screenTimeSettings(child)));
+            case '/setScreenTimeLimit':
+                return this.withChild(body.userId, child => {
+                    child.dailyLimitMinutes = body.dailyLimitMinutes;
+                    child.enabled = body.enabled;
+                    return this.respond(200, {
+                        success: true,
+                        userId: child.userId,
+                        dailyLimitMinutes: child.dailyLimitMinutes
+                    });
+                });
+            case '/getDevices':
+                return this.withChild(body.userId, child => this.respond(200, {
+                    devices: child.devices.map(device => ({
+                        deviceId: device.deviceId,
+                        deviceType: device.deviceType,
+                        deviceName: device.deviceName,
+                        lastSeen: new Date(device.lastSeen).toISOString(),
+                        enabled: device.enabled,
+                        dailyLimitMinutes: device.dailyLimitMinutes,
+                        todayUsageMinutes: Math.floor(device.usageMinutes)
+                    }))
+                }));
+            case '/setDeviceScreenTimeLimit':
+                return this.withChild(body.userId, child => {
+                    const device = child.devices.find(d => d.deviceId === body.deviceId);
+                    if (!device) {
+                        return this.respond(404, { error: 'NotFound', message: 'Device not found' });
+                    }
+                    device.dailyLimitMinutes = body.dailyLimitMinutes;
+                    device.enabled = body.enabled;
+                    return this.respond(200, { success: true, deviceId: device.deviceId });
+                });
+            case '/getAppPolicies':
+                return this.withChild(body.userId, child => this.respond(200, {
+                    apps: child.apps.map(app => ({
+                        appId: app.appId,
+                        displayName: app.displayName,
+                        category: app.category,
+                        platforms: app.platforms,
+                        blocked: app.blocked,
+                        dailyLimitMinutes: app.dailyLimitMinutes,
+                        todayUsageMinutes: Math.floor(app.usageMinutes),
+                        lastUsed: app.lastUsed ? new Date(app.lastUsed).toISOString() : null
+                    }))
+                }));
+            case '/setAppPolicy':
+                return this.withChild(body.userId, child => {
+                    const app = child.apps.find(a => a.appId === body.appId);
+                    if (!app) {
+                        return this.respond(404, { error: 'NotFound', message: 'App not found' });
+                    }
+                    if (body.blocked !== undefined) app.blocked = body.blocked;
+                    if (body.dailyLimitMinutes !== undefined) app.dailyLimitMinutes = body.dailyLimitMinutes;
+                    return this.respond(200, { success: true, appId: app.appId });
+                });
+            case '/getWebRestrictions':
+                return this.withChild(body.userId, child => this.respond(200, { ...child.webFilter }));
+            case '/setWebRestrictions':
+                return this.withChild(body.userId, child => {
+                    for (const key of Object.keys(child.webFilter)) {
+                        if (body[key] !== undefined) child.webFilter[key] = body[key];
+                    }
+                    return this.respond(200, { success: true, userId: child.userId });
+                });
+            case '/getPendingRequests':
+                return this.respond(200, { requests: this.requests.map(request => ({ ...request })) });
+            case '/respondToRequest': {
+                const request = this.requests.find(r => r.requestId === body.requestId);
+                if (!request) {
+                    return this.respond(404, { error: 'NotFound', message: 'Request not found' });
+                }
+                this.requests = this.requests.filter(r => r !== request);
+
+                // Approving raises the limit, as Microsoft does
+                const child = this.children.get(request.userId);
+                if (body.approve && child) {
+                    child.dailyLimitMinutes += body.grantedMinutes;
+                }
+                return this.respond(200, { success: true, requestId: request.requestId });
+            }
+            case '/setScreenTimeSchedule':
+                return this.withChild(body.userId, child => {
+                    child.schedule = body.schedule || {};
+                    return this.respond(200, { success: true, userId: child.userId });
+                });
+            default:
+                return this.respond(404, { error: 'NotFound', message: `Unknown endpoint ${path}` });
+        }
+    }
+
+    familyInfo() {
+        return {
+            familyId: this.familyId,
+            users: Array.from(this.children.values()).map(child => ({
+                userId: child.userId,
+                firstName: child.firstName,
+                lastName: child.lastName,
+                email: child.email,
+                isChild: child.isChild,
+                age: child.age,
+                profilePictureUrl: null
+            }))
+        };
+    }
+
+    screenTimeSettings(child) {
+        return {
+            enabled: child.enabled,
+            dailyLimitMinutes: child.dailyLimitMinutes,
+            todayUsageMinutes: Math.floor(child.usageMinutes),
+            schedule: child.schedule
+        };
+    }
+
+    withChild(userId, handler) {
+        const child = this.children.get(userId);
+        if (!child) {
+            return this.respond(404, { error: 'NotFound', message: 'User not found' });
+        }
+        return handler(child);
+    }
+
+    handleTokenRequest(body) {
+        const params = new URLSearchParams(body || '');
+        const refreshToken = params.get('refresh_token');
+
+        if (!this.refreshTokens.has(refreshToken)) {
+            return this.respond(400, { error: 'invalid_grant' });
+        }
+
+        this.refreshTokens.delete(refreshToken);
+        const tokens = this.issueTokens();
+
+        return this.respond(200, {
+            access_token: tokens.accessToken,
+            refresh_token: tokens.refreshToken,
+            expires_in: this.config.tokenLifetime
+        });
+    }
+
+    issueTokens() {
+        this.tokenCounter++;
+        const accessToken = `sim-access-${this.tokenCounter}`;
+        const refreshToken = `sim-refresh-${this.tokenCounter}`;
+
+        this.tokens.set(accessToken, Date.now() + this.config.tokenLifetime * 1000);
+        this.refreshTokens.add(refreshToken);
+
+        return { accessToken, refreshToken, expiresIn: this.config.tokenLifetime };
+    }
+
+    /**
+     * Advance usage for every child; usage stops growing at the limit
+     */
+    tick() {
+        const now = Date.now();
+        const today = new Date(now).toDateString();
+
+        if (today !== this.day) {
+            this.day = today;
+            for (const child of this.children.values()) {
+                child.usageMinutes = 0;
+                child.devices.forEach(device => { device.usageMinutes = 0; });
+                child.apps.forEach(app => { app.usageMinutes = 0; });
+            }
+        }
+
+        const elapsed = ((now - this.lastTick) / 60000) * this.config.usageRate;
+        this.lastTick = now;
+
+        // Devices lock once usage reaches the daily limit; the first
+        // device (and app) that is still allowed is the one in use
+        for (const child of this.children.values()) {
+            if (child.usageMinutes >= child.dailyLimitMinutes) continue;
+
+            const step = Math.min(child.dailyLimitMinutes - child.usageMinutes, elapsed);
+            child.usageMinutes += step;
+
+            const device = child.devices.find(d => d.dailyLimitMinutes === null || d.usageMinutes < d.dailyLimitMinutes);
+            if (device) {
+                device.usageMinutes += step;
+                device.lastSeen = now;
+            }
+
+            const app = child.apps.find(a => !a.blocked && (a.dailyLimitMinutes === null || a.usageMinutes < a.dailyLimitMinutes));
+            if (app) {
+                app.usageMinutes += step;
+                app.lastUsed = now;
+            }
+        }
+    }
+
+    takeFailure(path) {
+        const index = this.failures.findIndex(rule => !rule.endpoint || rule.endpoint === path);
+        if (index === -1) return null;
+
+        const rule = this.failures[index];
+        rule.times--;
+        if (rule.times <= 0) {
+            this.failures.splice(index, 1);
+        }
+        return rule;
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }
+        });
+    }
+
+    respond(status, body) {
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: status === 200 ? 'OK' : 'Simulated',
+            headers: { get: () => null },
+            json: async () => body
+        };
+    }
+}
+
+FamilySimulator.BASE_URL = BASE_URL;
+
+module.exports = FamilySimulator;
@@ -0,0 +1,76 @@
+/**
+ * Limit Calculator
+ *
+ * Microsoft's dailyLimitMinutes is a total for the day, while Allow2
+ * reports time remaining, so the limit pushed is
+ *
+ *   usage today + Allow2 remaining + granted minutes
+ *
+ * Allow2's remaining time stops at zero, so once it runs out that sum
+ * only follows usage and a grant would never be used up. Each grant
+ * therefore keeps a baseline - the allowance (usage + remaining) it tops
+ * up - and the limit never goes past the lowest baseline plus the
+ * granted minutes. Baselines follow the allowance while Allow2 still has
+ * time and hold once it runs out, so usage from then on spends the grant.
+ *
+ * Grant (persisted by the plugin in state.grants):
+ *   id, minutes (null = unlimited), expiresAt, createdAt, baseline
+ */
+
+'use strict';
+
+// Limit for devices released from per-device enforcement and for unlimited grants
+const UNRESTRICTED_LIMIT = 1440; // Whole day
+
+/**
+ * Set the baseline of each active, limited grant from this pass's
+ * reading - grants without one yet take it, the rest follow it while
+ * Allow2 still has time left
+ * Returns the same array when nothing changed
+ * @param {Array} grants - A child's grants
+ * @param {number} usageMinutes - Usage today
+ * @param {number} remainingMinutes - Allow2 time remaining
+ * @param {number} now
+ */
+function settleGrantBaselines(grants, usageMinutes, remainingMinutes, now = Date.now()) {
+    const allowance = usageMinutes + remainingMinutes;
+    let changed = false;
+
+    const settled = grants.map(grant => {
+        if (grant.expiresAt <= now || grant.minutes === null) {
+            return grant;
+        }
+        if (typeof grant.baseline === 'number' && (remainingMinutes === 0 || grant.baseline === allowance)) {
+            return grant;
+        }
+
+        changed = true;
+        return { ...grant, baseline: allowance };
+    });
+
+    return changed ? settled : grants;
+}
+
+/**
+ * Daily limit for a child - usage and Allow2's remaining time topped up by
+ * active grants, capped at each grant's baseline plus the granted minutes
+ * @param {Object} inputs - { usageMinutes, remainingMinutes, grants, now }
+ */
+function computeLimit({ usageMinutes, remainingMinutes, grants = [], now = Date.now() }) {
+    const active = grants.filter(grant => grant.expiresAt > now);
+    if (active.some(grant => grant.minutes === null)) {
+        return UNRESTRICTED_LIMIT;
+    }
+
+    const granted = active.reduce((total, grant) => total + grant.minutes, 0);
+    const baselines = active.map(grant => grant.baseline).filter(baseline => typeof baseline === 'number');
+    const ceiling = baselines.length > 0 ? Math.min(...baselines) + granted : Infinity;
+
+    return Math.min(UNRESTRICTED_LIMIT, usageMinutes + remainingMinutes + granted, ceiling);
+}
+
+module.exports = {
+    UNRESTRICTED_LIMIT,
+    settleGrantBaselines,
+    computeLimit
+};
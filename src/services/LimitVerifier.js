@@ -0,0 +1,198 @@
+/**
+ * Limit Verifier
+ *
+ * Confirms that screen time limit writes actually stuck. After each write
+ * the limit is read back from /getScreenTimeSettings; writes that did not
+ * stick are retried until the attempts run out.
+ *
+ * Per-child record (persisted by the plugin):
+ *   status        - 'pending' | 'confirmed' | 'diverged'
+ *   expectedLimit - limit that was written
+ *   actualLimit   - limit Microsoft last reported
+ *   attempts      - writes made for this limit
+ *   checks        - read-backs made for this limit
+ *   writtenAt, checkedAt, confirmedAt, error
+ */
+
+'use strict';
+
+// Delay before each read-back; a mismatch rewrites and waits for the next one
+const DEFAULT_CHECK_DELAYS = [10000, 60000, 300000, 900000]; // 10s, 1m, 5m, 15m
+
+class LimitVerifier {
+    constructor(config = {}) {
+        this.read = config.read; // (childId) => { dailyLimit }
+        this.write = config.write; // (childId, minutes) => Promise
+        this.onChange = config.onChange || (() => {});
+        this.checkDelays = config.checkDelays || DEFAULT_CHECK_DELAYS;
+        // childId -> record, seeded from persisted state; changes are reported via onChange
+        this.records = { ...config.records };
+
+        this.timers = new Map(); // childId -> timeout
+    }
+
+    /**
+     * Start verifying a limit that was just written
+     */
+    track(childId, expectedLimit) {
+        this.cancel(childId);
+
+        this.update(childId, {
+            status: 'pending',
+            expectedLimit,
+            actualLimit: null,
+            attempts: 1,
+            checks: 0,
+            writtenAt: Date.now(),
+            checkedAt: null,
+            confirmedAt: null,
+            error: null
+        });
+
+        this.schedule(childId);
+    }
+
+    /**
+     * Resume checks for records left pending by a previous session
+     */
+    resume() {
+        for (const [childId, record] of Object.entries(this.records)) {
+            if (record.status === 'pending' && !this.timers.has(childId)) {
+                console.log('[LimitVerifier] Resuming verification for', childId);
+                this.schedule(childId);
+            }
+        }
+    }
+
+    /**
+     * Stop verifying a child and forget its record
+     */
+    forget(childId) {
+        this.cancel(childId);
+        delete this.records[childId];
+    }
+
+    /**
+     * Replace the records with another account's (sandbox mode) - checks in
+     * progress spot the swap and drop their results
+     */
+    reset(records = {}) {
+        this.stop();
+        this.records = { ...records };
+    }
+
+    /**
+     * Cancel pending checks for a child
+     */
+    cancel(childId) {
+        const timer = this.timers.get(childId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(childId);
+        }
+    }
+
+    /**
+     * Cancel all pending checks
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    schedule(childId) {
+        const record = this.records[childId];
+        const delay = this.checkDelays[Math.min(record.checks || 0, this.checkDelays.length - 1)];
+
+        this.timers.set(childId, setTimeout(() => {
+            this.timers.delete(childId);
+            this.check(childId).catch(err => {
+                console.error('[LimitVerifier] Check failed for', childId, ':', err);
+            });
+        }, delay));
+    }
+
+    async check(childId) {
+        const record = this.records[childId];
+        if (!record || record.status !== 'pending') return;
+
+        const checks = (record.checks || 0) + 1;
+        const lastCheck = checks >= this.checkDelays.length;
+
+        let actualLimit;
+        try {
+            const screenTime = await this.read(childId);
+            actualLimit = screenTime.dailyLimit;
+        } catch (error) {
+            if (this.records[childId] !== record) return;
+
+            // Cannot tell either way - stay pending and look again later,
+            // every last delay once the checks have run out
+            this.update(childId, { checks, checkedAt: Date.now(), error: error.message });
+            this.schedule(childId);
+            return;
+        }
+
+        // A newer write may have replaced this record while we were reading
+        if (this.records[childId] !== record) return;
+
+        if (actualLimit === record.expectedLimit) {
+            console.log('[LimitVerifier] Limit confirmed for', childId, ':', actualLimit, 'minutes');
+            this.update(childId, {
+                status: 'confirmed',
+                actualLimit,
+                checks,
+                checkedAt: Date.now(),
+                confirmedAt: Date.now(),
+                error: null
+            });
+            return;
+        }
+
+        if (lastCheck) {
+            console.log('[LimitVerifier] Limit diverged for', childId, ': expected',
+                record.expectedLimit, 'got', actualLimit);
+            this.update(childId, {
+                status: 'diverged',
+                actualLimit,
+                checks,
+                checkedAt: Date.now(),
+                error: `Microsoft reports ${actualLimit} minutes, expected ${record.expectedLimit}`
+            });
+            return;
+        }
+
+        // Write did not stick - try again and check after the next delay
+        console.log('[LimitVerifier] Limit not applied for', childId, ', retrying write');
+        let error = null;
+        try {
+            await this.write(childId, record.expectedLimit);
+        } catch (writeError) {
+            error = writeError.message;
+        }
+
+        if (this.records[childId] !== record) return;
+
+        this.update(childId, {
+            actualLimit,
+            checks,
+            attempts: record.attempts + 1,
+            checkedAt: Date.now(),
+            error
+        });
+        this.schedule(childId);
+    }
+
+    update(childId, changes) {
+        const previous = this.records[childId];
+        const record = { ...previous, ...changes };
+
+        // Replace rather than mutate so in-flight checks can spot superseded writes
+        this.records[childId] = record;
+        this.onChange(childId, record, previous ? previous.status : null);
+    }
+}
+
+module.exports = LimitVerifier;
@@ -9,6 +9,52 @@
 
 'use strict';
 
+const RateLimiter = require('./RateLimiter');
+const { normalizeSchedule } = require('./ScheduleMapper');
+const {
+    AuthExpiredError,
+    NotFoundError,
+    TransientError,
+    errorForResponse
+} = require('./ApiErrors');
+
+// Device classes Microsoft Family enforces separately
+const DEVICE_CLASSES = ['windows', 'xbox', 'android'];
+
+// OAuth parameters used by the Microsoft Family Safety mobile app
+const OAUTH_CLIENT_ID = '00000000402b5328';
+const OAUTH_SCOPE = 'service::familymobile.microsoft.com::MBI_SSL';
+const OAUTH_REDIRECT_URI = 'https://login.live.com/oauth20_desktop.srf';
+const OAUTH_TOKEN_URL = 'https://login.live.com/oauth20_token.srf';
+
+// Endpoints not yet captured from the app (see docs/API_DISCOVERY.md) and
+// the feature each serves - a 404 from one may mean the endpoint does not
+// exist, so it is reported as such rather than as a missing child
+const EXPERIMENTAL_ENDPOINTS = {
+    '/getDevices': 'reading devices',
+    '/setDeviceScreenTimeLimit': 'per-device limits',
+    '/getAppPolicies': 'reading apps and games',
+    '/setAppPolicy': 'blocking apps and games',
+    '/getWebRestrictions': 'reading the web filter',
+    '/setWebRestrictions': 'changing the web filter',
+    '/getPendingRequests': 'reading requests for more time',
+    '/respondToRequest': 'answering requests for more time',
+    '/setScreenTimeSchedule': 'setting allowed hours'
+};
+
+// Host names only - Microsoft's web filter matches whole sites
+const SITE_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Normalize and de-duplicate a list of sites
+ */
+function normalizeSites(sites) {
+    if (!Array.isArray(sites)) {
+        throw new Error('Site lists must be arrays');
+    }
+    return [...new Set(sites.map(site => MicrosoftFamilyService.normalizeSite(site)))];
+}
+
 class MicrosoftFamilyService {
     constructor(config = {}) {
         this.config = {
@@ -16,9 +62,21 @@ class MicrosoftFamilyService {
             timeout: config.timeout || 30000,
             headless: config.headless !== false,
             cacheDuration: config.cacheDuration || 300000, // 5 minutes default
+            maxRetries: 3, // Retries for transient failures
+            retryBaseDelay: 1000, // First backoff, doubled per retry
+            retryMaxDelay: 30000,
+            requestsPerSecond: 1,
+            onFamilyMembersRefreshed: null, // (children) => void, after a 404-triggered refresh
+            transport: null, // fetch()-compatible function, defaults to global fetch
+            signIn: null, // () => { accessToken, refreshToken, expiresIn }, replaces browser sign-in
             ...config
         };
 
+        this.rateLimiter = new RateLimiter({
+            tokensPerSecond: this.config.requestsPerSecond,
+            capacity: 1
+        });
+
         this.playwright = null;
         this.browser = null;
         this.context = null;
@@ -27,11 +85,15 @@ class MicrosoftFamilyService {
         this.refreshToken = null;
         this.tokenExpiry = null;
         this.familyId = null;
+        this.familyRefresh = null;
 
         // Cache
         this.cache = {
             familyMembers: { data: null, timestamp: null },
-            screenTime: new Map() // childId -> { data, timestamp }
+            screenTime: new Map(), // childId -> { data, timestamp }
+            devices: new Map(), // childId -> { data, timestamp }
+            apps: new Map(), // childId -> { data, timestamp }
+            webFilters: new Map() // childId -> { data, timestamp }
         };
 
         this.initialized = false;
@@ -72,6 +134,10 @@ class MicrosoftFamilyService {
      * Opens browser for user to sign in
      */
     async authenticate() {
+        if (this.config.signIn) {
+            return this.authenticateWith(this.config.signIn);
+        }
+
         await this.init();
 
         try {
@@ -79,10 +145,10 @@ class MicrosoftFamilyService {
 
             // Navigate to Microsoft OAuth login
             const authUrl = 'https://login.live.com/oauth20_authorize.srf?' + new URLSearchParams({
-                client_id: '00000000402b5328', // Microsoft Family Safety app client ID
-                scope: 'service::familymobile.microsoft.com::MBI_SSL',
+                client_id: OAUTH_CLIENT_ID, // Microsoft Family Safety app client ID
+                scope: OAUTH_SCOPE,
                 response_type: 'token',
-                redirect_uri: 'https://login.live.com/oauth20_desktop.srf'
+                redirect_uri: OAUTH_REDIRECT_URI
             });
 
             console.log('[MicrosoftFamilyService] Opening authentication page...');
@@ -114,6 +180,7 @@ class MicrosoftFamilyService {
             return {
                 success: true,
                 accessToken: this.accessToken,
+                refreshToken: this.refreshToken,
                 expiresAt: this.tokenExpiry
             };
         } catch (error) {
@@ -123,6 +190,108 @@ class MicrosoftFamilyService {
         }
     }
 
+    /**
+     * Authenticate through an injected sign-in function (e.g. the simulator)
+     */
+    async authenticateWith(signIn) {
+        const result = await signIn();
+
+        this.accessToken = result.accessToken;
+        this.refreshToken = result.refreshToken || null;
+        this.tokenExpiry = Date.now() + ((result.expiresIn || 3600) * 1000);
+
+        console.log('[MicrosoftFamilyService] Authentication successful (injected sign-in)');
+
+        return {
+            success: true,
+            accessToken: this.accessToken,
+            refreshToken: this.refreshToken,
+            expiresAt: this.tokenExpiry
+        };
+    }
+
+    /**
+     * Renew the access token using the stored refresh token
+     * Throws AuthExpiredError if Microsoft rejects the refresh token
+     */
+    async refreshAccessToken() {
+        if (!this.refreshToken) {
+            throw new AuthExpiredError('No refresh token available. Call authenticate() first.');
+        }
+
+        try {
+            console.log('[MicrosoftFamilyService] Renewing access token...');
+
+            const response = await this.fetchWithTimeout(OAUTH_TOKEN_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    client_id: OAUTH_CLIENT_ID,
+                    grant_type: 'refresh_token',
+                    refresh_token: this.refreshToken,
+                    scope: OAUTH_SCOPE,
+                    redirect_uri: OAUTH_REDIRECT_URI
+                }).toString()
+            });
+
+            if (!response.ok) {
+                const message = `Token renewal failed: ${response.status} ${response.statusText}`;
+                // 400/401 mean the refresh token itself was rejected
+                if (response.status === 400 || response.status === 401) {
+                    throw new AuthExpiredError(message, { status: response.status, endpoint: OAUTH_TOKEN_URL });
+                }
+                throw new TransientError(message, { status: response.status, endpoint: OAUTH_TOKEN_URL });
+            }
+
+            const result = await response.json();
+
+            if (!result.access_token) {
+                throw new Error('Token renewal response did not include an access token');
+            }
+
+            this.accessToken = result.access_token;
+            // Microsoft may rotate the refresh token on renewal
+            if (result.refresh_token) {
+                this.refreshToken = result.refresh_token;
+            }
+            const expiresIn = parseInt(result.expires_in || '3600');
+            this.tokenExpiry = Date.now() + (expiresIn * 1000);
+
+            console.log('[MicrosoftFamilyService] Token renewed, expires in:', expiresIn, 'seconds');
+
+            return {
+                success: true,
+                accessToken: this.accessToken,
+                refreshToken: this.refreshToken,
+                expiresAt: this.tokenExpiry
+            };
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Token renewal failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Restore a previously persisted session
+     */
+    restoreSession({ accessToken, refreshToken, tokenExpiry } = {}) {
+        this.accessToken = accessToken || null;
+        this.refreshToken = refreshToken || null;
+        this.tokenExpiry = tokenExpiry || null;
+    }
+
+    /**
+     * Forget the current session and any cached data
+     */
+    clearSession() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        this.tokenExpiry = null;
+        this.clearCache();
+    }
+
     /**
      * Check if current token is valid
      */
@@ -130,12 +299,20 @@ class MicrosoftFamilyService {
         return this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry;
     }
 
+    /**
+     * Check if the token expires within marginMs and can be renewed
+     */
+    needsRenewal(marginMs = 0) {
+        return !!this.refreshToken &&
+            (!this.tokenExpiry || (this.tokenExpiry - Date.now()) <= marginMs);
+    }
+
     /**
      * Get family members (children)
      */
     async getFamilyMembers(forceRefresh = false) {
         if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated. Call authenticate() first.');
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
         }
 
         // Check cache
@@ -186,7 +363,7 @@ class MicrosoftFamilyService {
      */
     async getScreenTime(childId, forceRefresh = false) {
         if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated. Call authenticate() first.');
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
         }
 
         // Check cache
@@ -209,7 +386,7 @@ class MicrosoftFamilyService {
                 dailyLimit: response.dailyLimitMinutes || 0,
                 currentUsage: response.todayUsageMinutes || 0,
                 remaining: Math.max(0, (response.dailyLimitMinutes || 0) - (response.todayUsageMinutes || 0)),
-                schedule: response.schedule || {},
+                schedule: this.parseSchedule(childId, response.schedule),
                 lastUpdated: Date.now()
             };
 
@@ -231,7 +408,7 @@ class MicrosoftFamilyService {
      */
     async setScreenTimeLimit(childId, minutes) {
         if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated. Call authenticate() first.');
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
         }
 
         try {
@@ -259,14 +436,467 @@ class MicrosoftFamilyService {
         }
     }
 
+    /**
+     * Get a child's devices with their own limits and usage
+     * @param {string} childId
+     * @param {boolean} forceRefresh - Bypass cache
+     */
+    async getDevices(childId, forceRefresh = false) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        // Check cache
+        const cached = this.cache.devices.get(childId);
+        if (!forceRefresh && cached && (Date.now() - cached.timestamp) < this.config.cacheDuration) {
+            console.log('[MicrosoftFamilyService] Returning cached devices for:', childId);
+            return cached.data;
+        }
+
+        try {
+            const response = await this.apiRequest('/getDevices', {
+                userId: childId,
+                familyId: this.familyId
+            });
+
+            const devices = (response.devices || []).map(device => ({
+                id: device.deviceId,
+                type: MicrosoftFamilyService.deviceClass(device.deviceType),
+                name: device.deviceName || device.deviceType || 'Unknown device',
+                lastSeen: device.lastSeen ? Date.parse(device.lastSeen) || null : null,
+                enabled: device.enabled || false,
+                dailyLimit: device.dailyLimitMinutes ?? null,
+                todayUsage: device.todayUsageMinutes || 0
+            }));
+
+            // Cache result
+            this.cache.devices.set(childId, {
+                data: devices,
+                timestamp: Date.now()
+            });
+
+            console.log('[MicrosoftFamilyService] Found', devices.length, 'devices for', childId);
+            return devices;
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to get devices for', childId, ':', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the screen time limit on one device
+     * @param {string} childId
+     * @param {string} deviceId
+     * @param {number} minutes - Daily limit in minutes
+     */
+    async setDeviceScreenTimeLimit(childId, deviceId, minutes) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        try {
+            console.log('[MicrosoftFamilyService] Setting screen time limit for', childId, 'device', deviceId, 'to', minutes, 'minutes');
+
+            await this.apiRequest('/setDeviceScreenTimeLimit', {
+                userId: childId,
+                familyId: this.familyId,
+                deviceId,
+                dailyLimitMinutes: minutes,
+                enabled: minutes > 0
+            });
+
+            // Invalidate cache
+            this.cache.devices.delete(childId);
+
+            return {
+                success: true,
+                childId,
+                deviceId,
+                dailyLimit: minutes
+            };
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to set device screen time limit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Map Microsoft's device type onto windows | xbox | android | other
+     */
+    static deviceClass(deviceType) {
+        const type = String(deviceType || '').toLowerCase();
+        return DEVICE_CLASSES.find(deviceClass => type.includes(deviceClass)) || 'other';
+    }
+
+    /**
+     * Get the apps and games a child has used, with their policies
+     * Returns [{ id, name, type ('game' | 'app'), platforms, blocked,
+     *            dailyLimit (null = no limit), todayUsage, lastUsed }]
+     * @param {string} childId
+     * @param {boolean} forceRefresh - Bypass cache
+     */
+    async getApps(childId, forceRefresh = false) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        // Check cache
+        const cached = this.cache.apps.get(childId);
+        if (!forceRefresh && cached && (Date.now() - cached.timestamp) < this.config.cacheDuration) {
+            console.log('[MicrosoftFamilyService] Returning cached apps for:', childId);
+            return cached.data;
+        }
+
+        try {
+            const response = await this.apiRequest('/getAppPolicies', {
+                userId: childId,
+                familyId: this.familyId
+            });
+
+            const apps = (response.apps || []).map(app => ({
+                id: app.appId,
+                name: app.displayName || app.appId,
+                type: String(app.category || '').toLowerCase() === 'game' ? 'game' : 'app',
+                platforms: (app.platforms || []).map(platform => MicrosoftFamilyService.deviceClass(platform)),
+                blocked: app.blocked || false,
+                dailyLimit: app.dailyLimitMinutes ?? null,
+                todayUsage: app.todayUsageMinutes || 0,
+                lastUsed: app.lastUsed ? Date.parse(app.lastUsed) || null : null
+            }));
+
+            // Cache result
+            this.cache.apps.set(childId, {
+                data: apps,
+                timestamp: Date.now()
+            });
+
+            console.log('[MicrosoftFamilyService] Found', apps.length, 'apps for', childId);
+            return apps;
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to get apps for', childId, ':', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the daily time limit for one app or game
+     * @param {string} childId
+     * @param {string} appId
+     * @param {number|null} minutes - Daily limit in minutes, null to remove it
+     */
+    async setAppLimit(childId, appId, minutes) {
+        console.log('[MicrosoftFamilyService] Setting app limit for', childId, 'app', appId, 'to',
+            minutes === null ? 'no limit' : `${minutes} minutes`);
+
+        await this.setAppPolicy(childId, appId, { dailyLimitMinutes: minutes });
+
+        return {
+            success: true,
+            childId,
+            appId,
+            dailyLimit: minutes
+        };
+    }
+
+    /**
+     * Block or allow one app or game
+     * @param {string} childId
+     * @param {string} appId
+     * @param {boolean} blocked
+     */
+    async setAppBlocked(childId, appId, blocked) {
+        console.log('[MicrosoftFamilyService]', blocked ? 'Blocking' : 'Allowing', 'app', appId, 'for', childId);
+
+        await this.setAppPolicy(childId, appId, { blocked });
+
+        return {
+            success: true,
+            childId,
+            appId,
+            blocked
+        };
+    }
+
+    async setAppPolicy(childId, appId, policy) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        try {
+            await this.apiRequest('/setAppPolicy', {
+                userId: childId,
+                familyId: this.familyId,
+                appId,
+                ...policy
+            });
+
+            // Invalidate cache
+            this.cache.apps.delete(childId);
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to set app policy:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a child's web and search filter
+     * Returns { enabled, allowListOnly, allowedSites, blockedSites }
+     * @param {string} childId
+     * @param {boolean} forceRefresh - Bypass cache
+     */
+    async getWebFilter(childId, forceRefresh = false) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        // Check cache
+        const cached = this.cache.webFilters.get(childId);
+        if (!forceRefresh && cached && (Date.now() - cached.timestamp) < this.config.cacheDuration) {
+            console.log('[MicrosoftFamilyService] Returning cached web filter for:', childId);
+            return cached.data;
+        }
+
+        try {
+            const response = await this.apiRequest('/getWebRestrictions', {
+                userId: childId,
+                familyId: this.familyId
+            });
+
+            const filter = {
+                enabled: response.filterEnabled || false,
+                allowListOnly: response.allowListOnly || false,
+                allowedSites: response.allowedSites || [],
+                blockedSites: response.blockedSites || []
+            };
+
+            // Cache result
+            this.cache.webFilters.set(childId, {
+                data: filter,
+                timestamp: Date.now()
+            });
+
+            return filter;
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to get web filter for', childId, ':', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a child's web and search filter; fields left out are unchanged
+     * @param {string} childId
+     * @param {Object} changes - { enabled, allowListOnly, allowedSites, blockedSites }
+     */
+    async setWebFilter(childId, changes) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        const body = {};
+        if (changes.enabled !== undefined) body.filterEnabled = !!changes.enabled;
+        if (changes.allowListOnly !== undefined) body.allowListOnly = !!changes.allowListOnly;
+        if (changes.allowedSites !== undefined) body.allowedSites = normalizeSites(changes.allowedSites);
+        if (changes.blockedSites !== undefined) body.blockedSites = normalizeSites(changes.blockedSites);
+
+        try {
+            console.log('[MicrosoftFamilyService] Setting web filter for', childId, ':', Object.keys(body).join(', '));
+
+            await this.apiRequest('/setWebRestrictions', {
+                userId: childId,
+                familyId: this.familyId,
+                ...body
+            });
+
+            // Invalidate cache
+            this.cache.webFilters.delete(childId);
+
+            return {
+                success: true,
+                childId
+            };
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to set web filter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the family's pending "ask for more time" requests
+     * Returns [{ id, childId, minutes, deviceName, message, createdAt }]
+     */
+    async getPendingRequests() {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        try {
+            const response = await this.apiRequest('/getPendingRequests', {
+                familyId: this.familyId
+            });
+
+            return (response.requests || [])
+                .filter(request => !request.requestType || request.requestType === 'ScreenTime')
+                .map(request => ({
+                    id: request.requestId,
+                    childId: request.userId,
+                    minutes: request.requestedMinutes || 0,
+                    deviceName: request.deviceName || null,
+                    message: request.message || null,
+                    createdAt: request.createdAt ? Date.parse(request.createdAt) || null : null
+                }));
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to get pending requests:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Approve or deny an "ask for more time" request
+     * @param {string} requestId
+     * @param {boolean} approve
+     * @param {number} [minutes] - Extra minutes granted when approving
+     */
+    async respondToRequest(requestId, approve, minutes = 0) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        try {
+            console.log('[MicrosoftFamilyService]', approve ? 'Approving' : 'Denying', 'request', requestId,
+                approve ? `(${minutes} minutes)` : '');
+
+            await this.apiRequest('/respondToRequest', {
+                familyId: this.familyId,
+                requestId,
+                approve,
+                grantedMinutes: approve ? minutes : 0
+            });
+
+            // The grant changes the child's limit
+            this.cache.screenTime.clear();
+
+            return {
+                success: true,
+                requestId,
+                approved: approve,
+                minutes: approve ? minutes : 0
+            };
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to respond to request:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reduce a site entry to the host name Microsoft filters on
+     * ('https://www.Example.com/path' -> 'www.example.com'). Throws if it
+     * is not a host name.
+     */
+    static normalizeSite(site) {
+        const host = String(site || '').trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/[/?#:].*$/, '');
+
+        if (!SITE_PATTERN.test(host)) {
+            throw new Error(`Not a valid site: ${site}`);
+        }
+        return host;
+    }
+
+    /**
+     * Set a child's allowed hours
+     * @param {string} childId
+     * @param {Object} schedule - Weekday windows (see ScheduleMapper)
+     */
+    async setSchedule(childId, schedule) {
+        if (!this.isAuthenticated()) {
+            throw new AuthExpiredError('Not authenticated. Call authenticate() first.');
+        }
+
+        const normalized = normalizeSchedule(schedule);
+
+        try {
+            console.log('[MicrosoftFamilyService] Setting schedule for', childId);
+
+            await this.apiRequest('/setScreenTimeSchedule', {
+                userId: childId,
+                familyId: this.familyId,
+                schedule: normalized
+            });
+
+            // Invalidate cache
+            this.cache.screenTime.delete(childId);
+
+            console.log('[MicrosoftFamilyService] Schedule updated successfully');
+            return {
+                success: true,
+                childId,
+                schedule: normalized
+            };
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Failed to set schedule:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Normalize the schedule Microsoft returned, keeping it as-is if unreadable
+     */
+    parseSchedule(childId, schedule) {
+        try {
+            return normalizeSchedule(schedule);
+        } catch (error) {
+            console.error('[MicrosoftFamilyService] Unreadable schedule for', childId, ':', error.message);
+            return schedule || {};
+        }
+    }
+
     /**
      * Make authenticated API request to Microsoft Family Mobile backend
+     * Paced by the rate limiter; transient failures are retried with
+     * jittered exponential backoff. Throws typed errors from ApiErrors.
      */
     async apiRequest(endpoint, data = null) {
         if (!this.isAuthenticated()) {
-            throw new Error('Not authenticated');
+            throw new AuthExpiredError('Not authenticated', { endpoint });
         }
 
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await this.rateLimiter.acquire();
+                return await this.sendRequest(endpoint, data);
+            } catch (error) {
+                if (error instanceof NotFoundError && EXPERIMENTAL_ENDPOINTS[endpoint]) {
+                    console.error('[MicrosoftFamilyService] API request failed:', endpoint, error.message);
+                    throw new NotFoundError(
+                        `Microsoft Family did not recognise ${endpoint} (404) - ${EXPERIMENTAL_ENDPOINTS[endpoint]} ` +
+                        'is experimental and may not be available for this account',
+                        { status: error.status, endpoint }
+                    );
+                }
+
+                if (error instanceof NotFoundError && endpoint !== '/getFamilyInfo') {
+                    // Child or family may have been removed - refresh what we know
+                    this.refreshFamilyAfterNotFound();
+                }
+
+                if (!(error instanceof TransientError) || attempt >= this.config.maxRetries) {
+                    console.error('[MicrosoftFamilyService] API request failed:', endpoint, error.message);
+                    throw error;
+                }
+
+                const delay = this.retryDelay(attempt, error);
+                console.log('[MicrosoftFamilyService] Transient failure on', endpoint, '-', error.message,
+                    `- retrying in ${delay}ms (${attempt + 1}/${this.config.maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Send a single API request and map failures to typed errors
+     */
+    async sendRequest(endpoint, data) {
         const url = this.config.baseUrl + endpoint;
         const headers = {
             'Authorization': `Bearer ${this.accessToken}`,
@@ -274,27 +904,85 @@ class MicrosoftFamilyService {
             'User-Agent': 'Microsoft-Family-Safety-App/1.0'
         };
 
-        try {
-            const options = {
-                method: data ? 'POST' : 'GET',
-                headers
-            };
+        const options = {
+            method: data ? 'POST' : 'GET',
+            headers
+        };
 
-            if (data) {
-                options.body = JSON.stringify(data);
-            }
+        if (data) {
+            options.body = JSON.stringify(data);
+        }
 
-            const response = await fetch(url, options);
+        const response = await this.fetchWithTimeout(url, options);
 
-            if (!response.ok) {
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        if (!response.ok) {
+            const error = errorForResponse(response, endpoint);
+
+            // The token is no longer accepted - stop treating it as valid
+            if (error instanceof AuthExpiredError) {
+                this.tokenExpiry = 0;
             }
 
-            return await response.json();
-        } catch (error) {
-            console.error('[MicrosoftFamilyService] API request failed:', error);
             throw error;
         }
+
+        return await response.json();
+    }
+
+    /**
+     * fetch() bounded by config.timeout; network failures and timeouts
+     * become TransientError
+     */
+    async fetchWithTimeout(url, options) {
+        const transport = this.config.transport || fetch;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+        try {
+            return await transport(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TransientError(`Request timed out after ${this.config.timeout}ms`, { endpoint: url });
+            }
+            throw new TransientError(`Network error: ${error.message}`, { endpoint: url });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Backoff before retry number attempt + 1, honouring Retry-After
+     */
+    retryDelay(attempt, error) {
+        if (error.retryAfter) {
+            return Math.min(error.retryAfter, this.config.retryMaxDelay);
+        }
+
+        const ceiling = Math.min(this.config.retryMaxDelay, this.config.retryBaseDelay * Math.pow(2, attempt));
+        // Jitter across the upper half so concurrent retries spread out
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Re-read family members after a 404, at most one refresh at a time
+     */
+    refreshFamilyAfterNotFound() {
+        if (this.familyRefresh) return;
+
+        console.log('[MicrosoftFamilyService] Resource not found, refreshing family members');
+
+        this.familyRefresh = this.getFamilyMembers(true)
+            .then(children => {
+                if (this.config.onFamilyMembersRefreshed) {
+                    this.config.onFamilyMembersRefreshed(children);
+                }
+            })
+            .catch(error => {
+                console.error('[MicrosoftFamilyService] Family refresh after 404 failed:', error.message);
+            })
+            .finally(() => {
+                this.familyRefresh = null;
+            });
     }
 
     /**
@@ -303,6 +991,9 @@ class MicrosoftFamilyService {
     clearCache() {
         this.cache.familyMembers = { data: null, timestamp: null };
         this.cache.screenTime.clear();
+        this.cache.devices.clear();
+        this.cache.apps.clear();
+        this.cache.webFilters.clear();
         console.log('[MicrosoftFamilyService] Cache cleared');
     }
 
@@ -328,3 +1019,4 @@ class MicrosoftFamilyService {
 }
 
 module.exports = MicrosoftFamilyService;
+module.exports.DEVICE_CLASSES = DEVICE_CLASSES;
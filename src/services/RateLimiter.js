@@ -0,0 +1,58 @@
+/**
+ * Rate Limiter
+ *
+ * Token bucket used to pace requests to the Microsoft Family API.
+ * Callers await acquire() before each request and are released in order.
+ */
+
+'use strict';
+
+class RateLimiter {
+    constructor(config = {}) {
+        this.tokensPerSecond = config.tokensPerSecond || 1;
+        this.capacity = config.capacity || 1;
+
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        this.waiting = [];
+        this.timer = null;
+    }
+
+    /**
+     * Resolve once a request may be sent
+     */
+    acquire() {
+        return new Promise(resolve => {
+            this.waiting.push(resolve);
+            this.drain();
+        });
+    }
+
+    refill() {
+        const now = Date.now();
+        const earned = ((now - this.lastRefill) / 1000) * this.tokensPerSecond;
+        this.tokens = Math.min(this.capacity, this.tokens + earned);
+        this.lastRefill = now;
+    }
+
+    drain() {
+        if (this.timer) return;
+
+        this.refill();
+
+        while (this.waiting.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.waiting.shift()();
+        }
+
+        if (this.waiting.length > 0) {
+            const wait = Math.ceil(((1 - this.tokens) / this.tokensPerSecond) * 1000);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,173 @@
+/**
+ * Schedule Mapper
+ *
+ * Converts between Allow2 day types / time blocks and Microsoft Family's
+ * per-weekday allowed hours.
+ *
+ * Microsoft schedule (one window per weekday):
+ *   { monday: { start: '07:00', end: '20:00' }, tuesday: null, ... }
+ *   - { start, end } - devices may be used between start and end
+ *   - null           - devices are blocked all day
+ *   - missing day    - no restriction ('00:00' - '24:00')
+ *
+ * Allow2 schedule (as provided by the host's allow2.getSchedule):
+ *   {
+ *     days: { monday: 'school', ..., saturday: 'weekend' },
+ *     dayTypes: {
+ *       school: { name: 'School Night', blocks: [{ start: '07:00', end: '08:30' }, { start: '15:30', end: '20:00' }] },
+ *       weekend: { name: 'Weekend' }, // no blocks - unrestricted
+ *       grounded: { name: 'Grounded', blocks: [] } // empty list - blocked all day
+ *     }
+ *   }
+ *
+ * Microsoft only holds one window per day, so several Allow2 blocks are
+ * widened to span the earliest start and the latest end. The daily limit
+ * still caps total use inside that window.
+ */
+
+'use strict';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const ALL_DAY = { start: '00:00', end: '24:00' };
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Minutes covered by a day's blocks, counting overlaps once
+ */
+function coveredMinutes(blocks) {
+    const sorted = blocks
+        .map(block => [toMinutes(block.start), toMinutes(block.end)])
+        .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let reached = -1;
+    for (const [start, end] of sorted) {
+        if (end > reached) {
+            total += end - Math.max(start, reached);
+            reached = end;
+        }
+    }
+    return total;
+}
+
+/**
+ * Normalize a schedule from Microsoft (or the UI) into the shape above,
+ * with every weekday present. Throws on malformed windows.
+ */
+function normalizeSchedule(schedule) {
+    const source = schedule || {};
+    const normalized = {};
+
+    for (const day of WEEKDAYS) {
+        const window = source[day];
+
+        if (window === undefined) {
+            normalized[day] = { ...ALL_DAY };
+            continue;
+        }
+
+        if (window === null) {
+            normalized[day] = null;
+            continue;
+        }
+
+        if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+            throw new Error(`Invalid ${day} window: times must be HH:MM`);
+        }
+
+        if (toMinutes(window.start) >= toMinutes(window.end)) {
+            throw new Error(`Invalid ${day} window: start must be before end`);
+        }
+
+        normalized[day] = { start: window.start, end: window.end };
+    }
+
+    return normalized;
+}
+
+/**
+ * Map an Allow2 schedule to Microsoft weekday windows
+ * Returns { schedule, widened, skipped } where widened lists days whose
+ * separate Allow2 blocks had to be merged into one window, and skipped
+ * days whose blocks were all unreadable - those keep the window from
+ * current (unrestricted if there is none) rather than being blocked
+ * @param {Object} allow2Schedule
+ * @param {Object} current - Microsoft's schedule now, normalized
+ */
+function fromAllow2(allow2Schedule, current = null) {
+    const days = (allow2Schedule && allow2Schedule.days) || {};
+    const dayTypes = (allow2Schedule && allow2Schedule.dayTypes) || {};
+    const schedule = {};
+    const widened = [];
+    const skipped = [];
+
+    for (const day of WEEKDAYS) {
+        const dayType = dayTypes[days[day]];
+
+        // Unknown or unrestricted day type
+        if (!dayType || !Array.isArray(dayType.blocks)) {
+            schedule[day] = { ...ALL_DAY };
+            continue;
+        }
+
+        const blocks = dayType.blocks.filter(block =>
+            TIME_PATTERN.test(block.start) && TIME_PATTERN.test(block.end) &&
+            toMinutes(block.start) < toMinutes(block.end)
+        );
+
+        // Only an empty list blocks the day; bad data must not lock the child out
+        if (dayType.blocks.length === 0) {
+            schedule[day] = null;
+            continue;
+        }
+
+        if (blocks.length === 0) {
+            const window = current ? current[day] : ALL_DAY;
+            schedule[day] = window ? { ...window } : null;
+            skipped.push(day);
+            continue;
+        }
+
+        const start = blocks.reduce((earliest, block) =>
+            toMinutes(block.start) < toMinutes(earliest) ? block.start : earliest, blocks[0].start);
+        const end = blocks.reduce((latest, block) =>
+            toMinutes(block.end) > toMinutes(latest) ? block.end : latest, blocks[0].end);
+
+        if (blocks.length > 1 && coveredMinutes(blocks) < toMinutes(end) - toMinutes(start)) {
+            widened.push(day);
+        }
+
+        schedule[day] = { start, end };
+    }
+
+    return { schedule, widened, skipped };
+}
+
+/**
+ * Compare two schedules after normalization
+ */
+function schedulesEqual(a, b) {
+    const left = normalizeSchedule(a);
+    const right = normalizeSchedule(b);
+
+    return WEEKDAYS.every(day => {
+        if (left[day] === null || right[day] === null) {
+            return left[day] === right[day];
+        }
+        return left[day].start === right[day].start && left[day].end === right[day].end;
+    });
+}
+
+module.exports = {
+    WEEKDAYS,
+    normalizeSchedule,
+    fromAllow2,
+    schedulesEqual
+};
@@ -0,0 +1,198 @@
+/**
+ * Settings
+ *
+ * Declared schema for state.settings - each setting's type, range and
+ * default, how the tab shows it, and what has to happen for a change to
+ * take effect:
+ *   applies: 'monitor' - the sync monitor is restarted
+ *            'service' - the Microsoft Family client is rebuilt
+ *            (none)    - read live where it is used
+ *
+ * validateSettings() checks values against the schema. Numbers outside
+ * their range are clamped; values of the wrong type, unknown settings
+ * and unknown choices are rejected. Each is reported as a problem.
+ */
+
+'use strict';
+
+const UsageHistory = require('./UsageHistory');
+
+const MINUTE = 60000;
+
+const SETTINGS_SCHEMA = {
+    headless: {
+        type: 'boolean',
+        default: true,
+        label: 'Hide the Microsoft sign-in browser',
+        applies: 'service'
+    },
+    syncInterval: {
+        type: 'integer',
+        default: 10 * MINUTE,
+        min: MINUTE,
+        max: 60 * MINUTE,
+        scale: MINUTE, // Shown in minutes, stored in milliseconds
+        unit: 'minutes',
+        label: 'Sync every',
+        applies: 'monitor'
+    },
+    aggressiveSyncInterval: {
+        type: 'integer',
+        default: 10 * MINUTE,
+        min: MINUTE,
+        max: 60 * MINUTE,
+        scale: MINUTE,
+        unit: 'minutes',
+        label: 'Sync every, once time is low',
+        applies: 'monitor'
+    },
+    aggressiveSyncThreshold: {
+        type: 'integer',
+        default: 30,
+        min: 1,
+        max: 240,
+        unit: 'minutes',
+        label: 'Time is low below',
+        applies: 'monitor'
+    },
+    conflictPolicy: {
+        type: 'enum',
+        default: 'allow2',
+        options: {
+            allow2: 'Restore the Allow2 limit', // Allow2 wins straight away
+            microsoft: "Keep Microsoft's limit until midnight",
+            ask: 'Ask me' // Hold Microsoft's value until the parent decides (or midnight)
+        },
+        label: 'When a limit is changed in the Microsoft Family app'
+    },
+    usageHistoryDays: {
+        type: 'integer',
+        default: UsageHistory.DEFAULT_RETENTION_DAYS,
+        min: 7,
+        max: 365,
+        unit: 'days',
+        label: 'Keep usage history for'
+    },
+    reportUsage: {
+        type: 'boolean',
+        default: true,
+        label: 'Count Microsoft use against Allow2 quotas' // Host permitting
+    },
+    dryRun: {
+        type: 'boolean',
+        default: false,
+        label: 'Dry run for every child' // Record limit changes instead of sending them
+    },
+    sandboxMode: {
+        type: 'boolean',
+        default: false,
+        label: 'Sandbox mode (simulated Microsoft Family)',
+        applies: 'service'
+    }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+/**
+ * A stored value the way the tab shows it, e.g. "10 minutes"
+ */
+function describeValue(field, value) {
+    const shown = field.scale ? value / field.scale : value;
+    return field.unit ? `${shown} ${field.unit}` : String(shown);
+}
+
+/**
+ * Check one value - returns { value } (clamped if needed) or { error }
+ */
+function checkValue(field, value) {
+    switch (field.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: 'must be on or off' };
+
+        case 'integer': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { error: 'must be a number' };
+            }
+            return { value: Math.min(field.max, Math.max(field.min, Math.round(value))) };
+        }
+
+        case 'enum':
+            return Object.prototype.hasOwnProperty.call(field.options, value)
+                ? { value }
+                : { error: `must be one of ${Object.keys(field.options).join(', ')}` };
+
+        default:
+            return { error: `has an unknown type (${field.type})` };
+    }
+}
+
+/**
+ * Validate changes on top of the current settings
+ * Returns { settings, problems } - settings holds every accepted value
+ * (clamped ones included); each problem is { key, message, rejected }
+ * @param {Object} values - Settings to change, any subset of the schema
+ * @param {Object} current - Settings they apply to
+ */
+function validateSettings(values, current = DEFAULT_SETTINGS) {
+    const settings = { ...DEFAULT_SETTINGS };
+    const problems = [];
+
+    // Whatever is stored already must still fit the schema
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+        const stored = current && current[key] !== undefined ? checkValue(SETTINGS_SCHEMA[key], current[key]) : null;
+        if (stored && !stored.error) {
+            settings[key] = stored.value;
+        }
+    }
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        problems.push({ key: null, message: 'Settings must be an object', rejected: true });
+        return { settings, problems };
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+        const field = SETTINGS_SCHEMA[key];
+        if (!field) {
+            problems.push({ key, message: `Unknown setting: ${key}`, rejected: true });
+            continue;
+        }
+
+        const result = checkValue(field, value);
+        if (result.error) {
+            problems.push({ key, message: `${field.label}: ${result.error}`, rejected: true });
+            continue;
+        }
+
+        if (result.value !== value) {
+            problems.push({
+                key,
+                message: `${field.label}: ${describeValue(field, value)} is out of range - ` +
+                    `${describeValue(field, result.value)} was used`,
+                rejected: false
+            });
+        }
+        settings[key] = result.value;
+    }
+
+    // Syncing less often when time is low would defeat the point
+    if (settings.aggressiveSyncInterval > settings.syncInterval) {
+        const field = SETTINGS_SCHEMA.aggressiveSyncInterval;
+        problems.push({
+            key: 'aggressiveSyncInterval',
+            message: `${field.label} cannot be longer than the normal interval - ` +
+                `${describeValue(field, settings.syncInterval)} was used`,
+            rejected: false
+        });
+        settings.aggressiveSyncInterval = settings.syncInterval;
+    }
+
+    return { settings, problems };
+}
+
+module.exports = {
+    SETTINGS_SCHEMA,
+    DEFAULT_SETTINGS,
+    validateSettings
+};
@@ -0,0 +1,150 @@
+/**
+ * Sync Engine
+ *
+ * Serializes everything that writes limits to Microsoft Family. Only one
+ * pass runs at a time:
+ *
+ *   - request(childIds) syncs children. A request the running pass already
+ *     covers joins it; anything else is merged into the next queued pass,
+ *     so a burst of requests costs at most one extra pass.
+ *   - exclusive(fn) runs fn on its own, between passes (manual limit
+ *     writes, service swaps).
+ *
+ * Children within a pass are synced with bounded concurrency.
+ *
+ * request() resolves to { childId: { result } | { error } } for the
+ * children asked for; it never rejects for a single child's failure.
+ */
+
+'use strict';
+
+const DEFAULT_CONCURRENCY = 2;
+
+class SyncEngine {
+    constructor(config = {}) {
+        this.syncChild = config.syncChild; // (childId, { force }) => Promise
+        this.onPassComplete = config.onPassComplete || (() => {}); // (results) => void
+        this.concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+
+        this.active = null;
+        this.queue = [];
+    }
+
+    /**
+     * Sync these children, joining the running pass when it covers them
+     * @param {string[]} childIds
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Push limits even if nothing changed
+     */
+    request(childIds, options = {}) {
+        const force = !!options.force;
+        const active = this.active;
+
+        const covered = active && active.kind === 'sync' && childIds.every(childId =>
+            active.children.has(childId) && (!force || active.children.get(childId).force)
+        );
+
+        if (covered) {
+            console.log('[SyncEngine] Joining running sync pass');
+            return active.promise.then(results => pick(results, childIds));
+        }
+
+        let pass = this.queue[this.queue.length - 1];
+        if (!pass || pass.kind !== 'sync') {
+            pass = createPass('sync');
+            this.queue.push(pass);
+        }
+
+        for (const childId of childIds) {
+            const queued = pass.children.get(childId);
+            pass.children.set(childId, { force: force || !!(queued && queued.force) });
+        }
+
+        this.drain();
+        return pass.promise.then(results => pick(results, childIds));
+    }
+
+    /**
+     * Run fn while no sync pass is in progress
+     */
+    exclusive(fn) {
+        const pass = createPass('exclusive');
+        pass.fn = fn;
+        this.queue.push(pass);
+
+        this.drain();
+        return pass.promise;
+    }
+
+    /**
+     * True while a pass is running or waiting
+     */
+    isBusy() {
+        return !!this.active || this.queue.length > 0;
+    }
+
+    async drain() {
+        if (this.active) return;
+
+        while (this.queue.length > 0) {
+            const pass = this.active = this.queue.shift();
+
+            try {
+                pass.resolve(pass.kind === 'exclusive' ? await pass.fn() : await this.runPass(pass));
+            } catch (error) {
+                pass.reject(error);
+            }
+        }
+
+        this.active = null;
+    }
+
+    async runPass(pass) {
+        const childIds = Array.from(pass.children.keys());
+        const results = {};
+        let next = 0;
+
+        const worker = async () => {
+            while (next < childIds.length) {
+                const childId = childIds[next++];
+                try {
+                    results[childId] = { result: await this.syncChild(childId, pass.children.get(childId)) };
+                } catch (error) {
+                    results[childId] = { error };
+                }
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, childIds.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        try {
+            await this.onPassComplete(results);
+        } catch (error) {
+            console.error('[SyncEngine] Pass completion handler failed:', error);
+        }
+
+        return results;
+    }
+}
+
+function createPass(kind) {
+    const pass = { kind, children: new Map() };
+    pass.promise = new Promise((resolve, reject) => {
+        pass.resolve = resolve;
+        pass.reject = reject;
+    });
+    return pass;
+}
+
+function pick(results, childIds) {
+    return childIds.reduce((acc, childId) => {
+        acc[childId] = results[childId];
+        return acc;
+    }, {});
+}
+
+module.exports = SyncEngine;
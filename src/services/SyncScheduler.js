@@ -0,0 +1,259 @@
+/**
+ * Sync Scheduler
+ *
+ * Keeps a next-run time for each linked child instead of walking every
+ * child on one global interval. Each sync reports the child's Allow2
+ * remaining minutes through observe(); the scheduler estimates how fast
+ * they are being used (burn rate, minutes per minute) and plans the next
+ * run just before the predicted exhaustion, capped at the normal or
+ * aggressive sync interval.
+ *
+ * One timer wakes for the earliest due child; every child due at that
+ * moment is handed to run() together. The timer never sleeps
+ * longer than HEARTBEAT_INTERVAL, so a wake that arrives far later than
+ * planned reveals a system sleep and every child is synced on resume.
+ *
+ * Per-child entry (see getSchedule()):
+ *   nextRunAt             - when the child is next synced
+ *   reason                - 'initial' | 'scheduled' | 'aggressive' | 'exhaustion'
+ *                           | 'retry' | 'resume' | 'manual'
+ *   remainingMinutes      - Allow2 remaining at the last observation
+ *   burnRate              - smoothed minutes used per minute
+ *   predictedExhaustionAt - when remaining time is expected to hit zero
+ *   lastRunAt
+ */
+
+'use strict';
+
+const DEFAULT_WAKE_MARGIN = 60000; // Sync this long before predicted exhaustion
+const DEFAULT_MIN_INTERVAL = 30000; // Never sync one child more often than this
+const HEARTBEAT_INTERVAL = 60000; // Longest the timer sleeps, so sleep is noticed
+const SLEEP_THRESHOLD = 120000; // A wake this late means the system was asleep
+const MIN_SAMPLE_SPAN = 60000; // Burn rate samples closer together are too noisy
+const BURN_RATE_SMOOTHING = 0.5; // Weight of the newest burn rate sample
+
+class SyncScheduler {
+    constructor(config = {}) {
+        this.run = config.run; // (childIds) => Promise, expected to call observe() per child
+        this.getSettings = config.getSettings; // () => { syncInterval, aggressiveSyncInterval, aggressiveSyncThreshold }
+        this.wakeMargin = config.wakeMargin ?? DEFAULT_WAKE_MARGIN;
+        this.minInterval = config.minInterval ?? DEFAULT_MIN_INTERVAL;
+
+        this.entries = new Map(); // childId -> entry
+        this.started = false;
+        this.busy = false;
+        this.timer = null;
+        this.expectedWake = null;
+    }
+
+    /**
+     * Start scheduling; children not seen before are due immediately
+     */
+    start(childIds) {
+        this.started = true;
+        this.setChildren(childIds);
+    }
+
+    /**
+     * Stop scheduling and forget all plans
+     */
+    stop() {
+        this.started = false;
+        this.entries.clear();
+        this.disarm();
+    }
+
+    /**
+     * Track exactly these children, keeping plans for ones already known
+     */
+    setChildren(childIds) {
+        const now = Date.now();
+
+        for (const childId of childIds) {
+            if (!this.entries.has(childId)) {
+                this.entries.set(childId, {
+                    nextRunAt: now,
+                    reason: 'initial',
+                    remainingMinutes: null,
+                    burnRate: null,
+                    predictedExhaustionAt: null,
+                    lastRunAt: null,
+                    sampleMinutes: null,
+                    sampleAt: null
+                });
+            }
+        }
+
+        for (const childId of this.entries.keys()) {
+            if (!childIds.includes(childId)) {
+                this.entries.delete(childId);
+            }
+        }
+
+        this.arm();
+    }
+
+    /**
+     * Make one child (or every child) due now
+     */
+    runNow(childId = null, reason = 'manual') {
+        const now = Date.now();
+
+        for (const [id, entry] of this.entries) {
+            if (childId === null || id === childId) {
+                entry.nextRunAt = now;
+                entry.reason = reason;
+            }
+        }
+
+        this.arm();
+    }
+
+    /**
+     * Record a child's Allow2 remaining minutes and plan its next run
+     */
+    observe(childId, remainingMinutes) {
+        const entry = this.entries.get(childId);
+        if (!entry) return;
+
+        const now = Date.now();
+
+        if (entry.sampleAt === null || remainingMinutes > entry.sampleMinutes) {
+            // First look, or time was added - start measuring afresh
+            entry.sampleMinutes = remainingMinutes;
+            entry.sampleAt = now;
+        } else if (now - entry.sampleAt >= MIN_SAMPLE_SPAN) {
+            const rate = (entry.sampleMinutes - remainingMinutes) / ((now - entry.sampleAt) / 60000);
+            entry.burnRate = entry.burnRate === null
+                ? rate
+                : BURN_RATE_SMOOTHING * rate + (1 - BURN_RATE_SMOOTHING) * entry.burnRate;
+            entry.sampleMinutes = remainingMinutes;
+            entry.sampleAt = now;
+        }
+
+        entry.remainingMinutes = remainingMinutes;
+        this.plan(entry, now);
+        this.arm();
+    }
+
+    /**
+     * Upcoming runs, soonest first
+     */
+    getSchedule() {
+        return Array.from(this.entries, ([childId, entry]) => ({
+            childId,
+            nextRunAt: entry.nextRunAt,
+            reason: entry.reason,
+            remainingMinutes: entry.remainingMinutes,
+            burnRate: entry.burnRate,
+            predictedExhaustionAt: entry.predictedExhaustionAt,
+            lastRunAt: entry.lastRunAt
+        })).sort((a, b) => a.nextRunAt - b.nextRunAt);
+    }
+
+    plan(entry, now) {
+        const settings = this.getSettings();
+        const aggressive = entry.remainingMinutes < settings.aggressiveSyncThreshold;
+
+        let delay = aggressive ? settings.aggressiveSyncInterval : settings.syncInterval;
+        let reason = aggressive ? 'aggressive' : 'scheduled';
+
+        entry.predictedExhaustionAt = null;
+
+        if (entry.remainingMinutes > 0 && entry.burnRate > 0) {
+            const untilExhausted = (entry.remainingMinutes / entry.burnRate) * 60000;
+            entry.predictedExhaustionAt = now + untilExhausted;
+
+            if (untilExhausted - this.wakeMargin < delay) {
+                delay = untilExhausted - this.wakeMargin;
+                reason = 'exhaustion';
+            }
+        }
+
+        entry.nextRunAt = now + Math.max(this.minInterval, delay);
+        entry.reason = reason;
+    }
+
+    arm() {
+        this.disarm();
+
+        // A running pass re-arms when it finishes
+        if (!this.started || this.busy) return;
+
+        const now = Date.now();
+        let next = now + HEARTBEAT_INTERVAL;
+        for (const entry of this.entries.values()) {
+            next = Math.min(next, entry.nextRunAt);
+        }
+
+        const delay = Math.max(0, next - now);
+        this.expectedWake = now + delay;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.wake().catch(err => {
+                console.error('[SyncScheduler] Wake failed:', err);
+            });
+        }, delay);
+    }
+
+    disarm() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async wake() {
+        if (this.busy) return;
+
+        const lateBy = Date.now() - this.expectedWake;
+        if (lateBy > SLEEP_THRESHOLD) {
+            console.log('[SyncScheduler] Woke', Math.round(lateBy / 60000), 'minutes late, catching up after sleep');
+            this.runNow(null, 'resume');
+        }
+
+        this.busy = true;
+        try {
+            let due;
+            while (this.started && (due = this.dueChildren()).length > 0) {
+                await this.runChildren(due);
+            }
+        } finally {
+            this.busy = false;
+            this.arm();
+        }
+    }
+
+    dueChildren() {
+        const now = Date.now();
+        return Array.from(this.entries.keys()).filter(childId => this.entries.get(childId).nextRunAt <= now);
+    }
+
+    async runChildren(childIds) {
+        const startedAt = Date.now();
+
+        try {
+            await this.run(childIds);
+        } catch (error) {
+            console.error('[SyncScheduler] Sync failed for', childIds.join(', '), ':', error);
+        }
+
+        const settings = this.getSettings();
+        const now = Date.now();
+
+        for (const childId of childIds) {
+            const entry = this.entries.get(childId);
+            if (!entry) continue;
+
+            entry.lastRunAt = now;
+
+            // Nothing was observed (no quota, signed out, error) - look again later
+            if (entry.nextRunAt <= startedAt) {
+                entry.nextRunAt = now + Math.max(this.minInterval, settings.aggressiveSyncInterval);
+                entry.reason = 'retry';
+            }
+        }
+    }
+}
+
+module.exports = SyncScheduler;
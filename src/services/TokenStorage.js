@@ -0,0 +1,159 @@
+/**
+ * Token Storage
+ *
+ * Encrypts Microsoft credentials (access and refresh tokens) before they
+ * are written to persisted plugin state. Uses AES-256-GCM with a key
+ * supplied by a pluggable key source:
+ *
+ *   - HostKeychainKeySource: key held in the OS keychain via the host
+ *     (context.keychain.get / context.keychain.set)
+ *   - FileKeySource: key held in a local file readable only by the user
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 1;
+
+const KEYCHAIN_ENTRY = 'allow2automate-microsoft-family.credentials-key';
+const DEFAULT_KEY_FILE = path.join(os.homedir(), '.allow2automate', 'allow2automate-microsoft-family.key');
+
+/**
+ * Key stored in the operating system keychain through the host app
+ */
+class HostKeychainKeySource {
+    constructor(keychain) {
+        this.name = 'keychain';
+        this.keychain = keychain;
+    }
+
+    async getKey() {
+        const stored = await this.keychain.get(KEYCHAIN_ENTRY);
+        if (stored) {
+            return Buffer.from(stored, 'base64');
+        }
+
+        const key = crypto.randomBytes(KEY_LENGTH);
+        await this.keychain.set(KEYCHAIN_ENTRY, key.toString('base64'));
+        console.log('[TokenStorage] Created new credentials key in host keychain');
+        return key;
+    }
+}
+
+/**
+ * Key stored in a local file with owner-only permissions
+ */
+class FileKeySource {
+    constructor(keyFile = DEFAULT_KEY_FILE) {
+        this.name = 'file';
+        this.keyFile = keyFile;
+    }
+
+    async getKey() {
+        try {
+            const stored = await fs.promises.readFile(this.keyFile, 'utf8');
+            return Buffer.from(stored.trim(), 'base64');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const key = crypto.randomBytes(KEY_LENGTH);
+        await fs.promises.mkdir(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+        await fs.promises.writeFile(this.keyFile, key.toString('base64'), { mode: 0o600 });
+        console.log('[TokenStorage] Created new credentials key file:', this.keyFile);
+        return key;
+    }
+}
+
+class TokenStorage {
+    constructor(keySource) {
+        this.keySource = keySource;
+        this.key = null;
+    }
+
+    /**
+     * Pick the best key source the host offers
+     * Prefers the OS keychain, falling back to a local key file
+     */
+    static createKeySource(context, options = {}) {
+        if (context && context.keychain &&
+            typeof context.keychain.get === 'function' &&
+            typeof context.keychain.set === 'function') {
+            return new HostKeychainKeySource(context.keychain);
+        }
+        return new FileKeySource(options.keyFile);
+    }
+
+    /**
+     * Load the encryption key. Must complete before encrypt/decrypt.
+     */
+    async init() {
+        if (this.key) return;
+
+        const key = await this.keySource.getKey();
+        if (!key || key.length !== KEY_LENGTH) {
+            throw new Error(`Invalid credentials key from ${this.keySource.name} key source`);
+        }
+
+        this.key = key;
+    }
+
+    /**
+     * Encrypt a secrets object into a blob safe to persist
+     */
+    encrypt(secrets) {
+        if (!this.key) {
+            throw new Error('TokenStorage not initialized. Call init() first.');
+        }
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const data = Buffer.concat([
+            cipher.update(JSON.stringify(secrets), 'utf8'),
+            cipher.final()
+        ]);
+
+        return {
+            version: FORMAT_VERSION,
+            keySource: this.keySource.name,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt a blob produced by encrypt()
+     */
+    decrypt(blob) {
+        if (!this.key) {
+            throw new Error('TokenStorage not initialized. Call init() first.');
+        }
+
+        if (!blob || blob.version !== FORMAT_VERSION) {
+            throw new Error('Unsupported credentials format');
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(blob.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+        const data = Buffer.concat([
+            decipher.update(Buffer.from(blob.data, 'base64')),
+            decipher.final()
+        ]);
+
+        return JSON.parse(data.toString('utf8'));
+    }
+}
+
+module.exports = TokenStorage;
+module.exports.HostKeychainKeySource = HostKeychainKeySource;
+module.exports.FileKeySource = FileKeySource;
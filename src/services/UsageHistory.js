@@ -0,0 +1,156 @@
+/**
+ * Usage History
+ *
+ * Daily roll-up of each linked child's Microsoft-reported usage next to
+ * the Allow2 quota it was synced against, sampled on every sync pass.
+ * Days older than the retention window are dropped as new ones arrive.
+ *
+ * Per-child, per-day record (persisted by the plugin, keyed YYYY-MM-DD):
+ *   usageMinutes   - highest usage Microsoft reported that day
+ *   quotaMinutes   - most time Allow2 allowed that day (usage + remaining,
+ *                    taken while time was left so later usage shows as over)
+ *   allow2Minutes  - Allow2 time remaining at the last sample
+ *   limitMinutes   - Microsoft's daily limit at the last sample
+ *   byClass        - { windows, xbox, android, other } usage per device class
+ *   samples, firstSampleAt, lastSampleAt
+ *
+ * Usage only grows during a day, so each figure keeps its highest sample.
+ */
+
+'use strict';
+
+const DEFAULT_RETENTION_DAYS = 35; // Five weeks, enough to compare a week with the ones before
+
+/**
+ * Local calendar day key (YYYY-MM-DD), matching the plugin's usage dates
+ */
+function dateKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+class UsageHistory {
+    constructor(config = {}) {
+        this.getRetentionDays = config.getRetentionDays || (() => DEFAULT_RETENTION_DAYS);
+        this.onChange = config.onChange || (() => {}); // (days) => void
+        // childId -> { date -> record }
+        this.days = { ...config.days };
+    }
+
+    /**
+     * Fold one sync's reading into the child's record for sample.date
+     * @param {Object} sample - { date, usageMinutes, allow2Minutes, limitMinutes, byClass }
+     */
+    record(childId, sample) {
+        const now = Date.now();
+        const days = { ...this.days[childId] };
+        const previous = days[sample.date];
+
+        const byClass = { ...(previous && previous.byClass) };
+        for (const [deviceClass, minutes] of Object.entries(sample.byClass || {})) {
+            byClass[deviceClass] = Math.max(byClass[deviceClass] || 0, minutes);
+        }
+
+        // Once Allow2 has no time left, usage + remaining only measures usage
+        const allowance = sample.usageMinutes + sample.allow2Minutes;
+        const quotaMinutes = !previous ? allowance
+            : sample.allow2Minutes > 0 ? Math.max(previous.quotaMinutes, allowance)
+            : previous.quotaMinutes;
+
+        days[sample.date] = {
+            usageMinutes: Math.max(previous ? previous.usageMinutes : 0, sample.usageMinutes),
+            quotaMinutes,
+            allow2Minutes: sample.allow2Minutes,
+            limitMinutes: sample.limitMinutes ?? (previous ? previous.limitMinutes : null),
+            byClass,
+            samples: (previous ? previous.samples : 0) + 1,
+            firstSampleAt: previous ? previous.firstSampleAt : now,
+            lastSampleAt: now
+        };
+
+        this.days[childId] = this.prune(days, now);
+        this.onChange(this.days);
+    }
+
+    /**
+     * The last `count` days for a child, oldest first - days without
+     * samples are included with null figures so charts keep their shape
+     */
+    getDays(childId, count = 7, until = Date.now()) {
+        const days = this.days[childId] || {};
+        const result = [];
+
+        for (let offset = count - 1; offset >= 0; offset--) {
+            const day = new Date(until);
+            day.setDate(day.getDate() - offset);
+            const date = dateKey(day.getTime());
+
+            result.push({
+                date,
+                ...(days[date] || {
+                    usageMinutes: null,
+                    quotaMinutes: null,
+                    allow2Minutes: null,
+                    limitMinutes: null,
+                    byClass: {},
+                    samples: 0
+                })
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Totals over a run of days from getDays()
+     * overMinutes counts usage beyond the Allow2 quota - time the sync let slip
+     */
+    static summarize(days) {
+        const sampled = days.filter(day => day.samples > 0);
+        const usage = sampled.reduce((total, day) => total + day.usageMinutes, 0);
+        const quota = sampled.reduce((total, day) => total + day.quotaMinutes, 0);
+
+        return {
+            days: sampled.length,
+            usageMinutes: usage,
+            quotaMinutes: quota,
+            averageMinutes: sampled.length ? Math.round(usage / sampled.length) : 0,
+            overMinutes: sampled.reduce((total, day) => total + Math.max(0, day.usageMinutes - day.quotaMinutes), 0),
+            daysOver: sampled.filter(day => day.usageMinutes > day.quotaMinutes).length
+        };
+    }
+
+    /**
+     * Drop a child's history (unlinked)
+     */
+    forget(childId) {
+        if (this.days[childId]) {
+            delete this.days[childId];
+            this.onChange(this.days);
+        }
+    }
+
+    /**
+     * Replace the history with another account's (sandbox mode)
+     */
+    reset(days = {}) {
+        this.days = { ...days };
+    }
+
+    /**
+     * Keep only the days inside the retention window
+     */
+    prune(days, now) {
+        const oldest = new Date(now);
+        oldest.setDate(oldest.getDate() - (this.getRetentionDays() - 1));
+        const cutoff = dateKey(oldest.getTime());
+
+        return Object.fromEntries(Object.entries(days).filter(([date]) => date >= cutoff));
+    }
+}
+
+UsageHistory.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+
+module.exports = UsageHistory;
@@ -0,0 +1,186 @@
+/**
+ * Write Outbox
+ *
+ * Persisted queue of screen time limit writes that could not reach
+ * Microsoft (network down, 5xx, timeouts, expired session). Only the
+ * newest write per child is kept; a later write supersedes it. Entries
+ * are replayed oldest first, retrying with backoff until they land.
+ *
+ * Entry (persisted by the plugin):
+ *   childId, minutes, queuedAt, attempts, lastAttemptAt, lastError
+ *
+ * Limits are daily totals, so entries queued before local midnight are
+ * dropped rather than replayed.
+ */
+
+'use strict';
+
+const { AuthExpiredError, TransientError } = require('./ApiErrors');
+
+const DEFAULT_RETRY_DELAYS = [30000, 60000, 120000, 300000]; // 30s, 1m, 2m, then every 5m
+
+class WriteOutbox {
+    constructor(config = {}) {
+        this.write = config.write; // (childId, minutes) => Promise
+        this.onChange = config.onChange || (() => {}); // (entries) => void
+        this.retryDelays = config.retryDelays || DEFAULT_RETRY_DELAYS;
+        this.entries = (config.entries || []).map(entry => ({ ...entry }));
+
+        this.timer = null;
+        this.failures = 0;
+        this.flushing = null;
+        this.generation = 0; // bumped by reset() so a replay in progress stops
+    }
+
+    /**
+     * Whether a failed write should be queued for replay
+     */
+    static shouldQueue(error) {
+        return error instanceof TransientError || error instanceof AuthExpiredError;
+    }
+
+    /**
+     * Queue a write, replacing any older one for the same child
+     */
+    enqueue(childId, minutes, error = null) {
+        this.entries = this.entries.filter(entry => entry.childId !== childId);
+        this.entries.push({
+            childId,
+            minutes,
+            queuedAt: Date.now(),
+            attempts: 1,
+            lastAttemptAt: Date.now(),
+            lastError: error ? error.message : null
+        });
+
+        console.log('[WriteOutbox] Queued', minutes, 'minute limit for', childId, '-', this.entries.length, 'waiting');
+
+        this.onChange(this.entries);
+        this.schedule();
+    }
+
+    /**
+     * Drop the queued write for a child (a newer write went through, or
+     * the child was unlinked)
+     */
+    discard(childId) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.childId !== childId);
+
+        if (this.entries.length !== count) {
+            this.onChange(this.entries);
+        }
+    }
+
+    /**
+     * Whether a write for the child is still queued
+     */
+    has(childId) {
+        return this.entries.some(entry => entry.childId === childId);
+    }
+
+    /**
+     * Replace the queue with another account's (sandbox mode) - a replay
+     * in progress stops without touching the new entries
+     */
+    reset(entries = []) {
+        this.stop();
+        this.entries = entries.map(entry => ({ ...entry }));
+        this.failures = 0;
+        this.generation++;
+    }
+
+    get depth() {
+        return this.entries.length;
+    }
+
+    /**
+     * Replay queued writes in order, stopping at the first that still fails
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replay().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Cancel the pending retry
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async replay() {
+        this.stop();
+
+        const generation = this.generation;
+        const today = new Date().toDateString();
+
+        while (this.entries.length > 0) {
+            const entry = this.entries[0];
+
+            if (new Date(entry.queuedAt).toDateString() !== today) {
+                console.log('[WriteOutbox] Dropping limit queued on a previous day for', entry.childId);
+                this.remove(entry);
+                continue;
+            }
+
+            try {
+                await this.write(entry.childId, entry.minutes);
+                if (this.generation !== generation) return;
+
+                console.log('[WriteOutbox] Applied queued', entry.minutes, 'minute limit for', entry.childId);
+                this.remove(entry);
+                this.failures = 0;
+            } catch (error) {
+                if (this.generation !== generation) return;
+
+                // Superseded or discarded while the write was in flight
+                if (!this.entries.includes(entry)) continue;
+
+                entry.attempts++;
+                entry.lastAttemptAt = Date.now();
+                entry.lastError = error.message;
+
+                if (!WriteOutbox.shouldQueue(error)) {
+                    console.error('[WriteOutbox] Dropping queued limit for', entry.childId, ':', error.message);
+                    this.remove(entry);
+                    continue;
+                }
+
+                // Still offline - leave the rest queued behind it
+                console.log('[WriteOutbox] Replay failed for', entry.childId, ':', error.message);
+                this.failures++;
+                this.onChange(this.entries);
+                this.schedule();
+                return;
+            }
+        }
+    }
+
+    remove(entry) {
+        this.entries = this.entries.filter(queued => queued !== entry);
+        this.onChange(this.entries);
+    }
+
+    schedule() {
+        if (this.timer || this.entries.length === 0) return;
+
+        const delay = this.retryDelays[Math.min(this.failures, this.retryDelays.length - 1)];
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(err => {
+                console.error('[WriteOutbox] Replay failed:', err);
+            });
+        }, delay);
+    }
+}
+
+module.exports = WriteOutbox;
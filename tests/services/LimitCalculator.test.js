@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert').strict;
+const { UNRESTRICTED_LIMIT, settleGrantBaselines, computeLimit } = require('../../src/services/LimitCalculator');
+
+const NOW = Date.UTC(2025, 11, 29, 15, 0);
+const LATER = NOW + 3600000;
+
+describe('LimitCalculator', () => {
+    describe('computeLimit', () => {
+        it('adds usage and Allow2 remaining time', () => {
+            assert.equal(computeLimit({ usageMinutes: 90, remainingMinutes: 30, now: NOW }), 120);
+        });
+
+        it('adds active grants and ignores expired ones', () => {
+            const grants = [
+                { minutes: 20, expiresAt: LATER },
+                { minutes: 15, expiresAt: NOW - 1 }
+            ];
+            assert.equal(computeLimit({ usageMinutes: 90, remainingMinutes: 30, grants, now: NOW }), 140);
+        });
+
+        it('gives the whole day for an unlimited grant', () => {
+            const grants = [{ minutes: null, expiresAt: LATER }];
+            assert.equal(computeLimit({ usageMinutes: 10, remainingMinutes: 0, grants, now: NOW }), UNRESTRICTED_LIMIT);
+        });
+
+        it('never goes past the whole day', () => {
+            const grants = [{ minutes: 600, expiresAt: LATER }];
+            assert.equal(computeLimit({ usageMinutes: 600, remainingMinutes: 600, grants, now: NOW }), UNRESTRICTED_LIMIT);
+        });
+
+        it('caps the limit at the lowest baseline plus the granted minutes', () => {
+            const grants = [
+                { minutes: 30, expiresAt: LATER, baseline: 60 },
+                { minutes: 10, expiresAt: LATER, baseline: 80 }
+            ];
+            assert.equal(computeLimit({ usageMinutes: 90, remainingMinutes: 0, grants, now: NOW }), 100);
+        });
+    });
+
+    describe('settleGrantBaselines', () => {
+        it('sets the baseline of a new grant to usage plus remaining', () => {
+            const [grant] = settleGrantBaselines([{ minutes: 30, expiresAt: LATER }], 40, 20, NOW);
+            assert.equal(grant.baseline, 60);
+        });
+
+        it('follows the allowance while Allow2 has time left', () => {
+            const [grant] = settleGrantBaselines([{ minutes: 30, expiresAt: LATER, baseline: 60 }], 50, 40, NOW);
+            assert.equal(grant.baseline, 90);
+        });
+
+        it('holds the baseline once Allow2 has run out', () => {
+            const grants = [{ minutes: 30, expiresAt: LATER, baseline: 60 }];
+            assert.equal(settleGrantBaselines(grants, 75, 0, NOW), grants);
+        });
+
+        it('leaves unlimited and expired grants alone', () => {
+            const grants = [
+                { minutes: null, expiresAt: LATER },
+                { minutes: 30, expiresAt: NOW - 1 }
+            ];
+            assert.equal(settleGrantBaselines(grants, 40, 20, NOW), grants);
+        });
+    });
+
+    describe('a grant given once Allow2 has run out', () => {
+        it('is spent by usage rather than added on top of it', () => {
+            let grants = [{ minutes: 30, expiresAt: LATER }];
+            const limits = [30, 60, 90].map(usageMinutes => {
+                grants = settleGrantBaselines(grants, usageMinutes, 0, NOW);
+                return computeLimit({ usageMinutes, remainingMinutes: 0, grants, now: NOW });
+            });
+
+            assert.deepEqual(limits, [60, 60, 60]);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert').strict;
+const { WEEKDAYS, normalizeSchedule, fromAllow2, schedulesEqual } = require('../../src/services/ScheduleMapper');
+
+const ALL_DAY = { start: '00:00', end: '24:00' };
+
+/**
+ * An Allow2 schedule giving every weekday the same day type
+ */
+function everyDay(dayType) {
+    return {
+        days: Object.fromEntries(WEEKDAYS.map(day => [day, 'test'])),
+        dayTypes: { test: dayType }
+    };
+}
+
+describe('ScheduleMapper', () => {
+    describe('normalizeSchedule', () => {
+        it('leaves missing days unrestricted and keeps blocked days', () => {
+            const schedule = normalizeSchedule({ monday: { start: '07:00', end: '20:00' }, tuesday: null });
+
+            assert.deepEqual(schedule.monday, { start: '07:00', end: '20:00' });
+            assert.equal(schedule.tuesday, null);
+            assert.deepEqual(schedule.sunday, ALL_DAY);
+        });
+
+        it('rejects malformed times and empty windows', () => {
+            assert.throws(() => normalizeSchedule({ monday: { start: '7:00', end: '20:00' } }), /times must be HH:MM/);
+            assert.throws(() => normalizeSchedule({ monday: { start: '20:00', end: '07:00' } }), /start must be before end/);
+        });
+    });
+
+    describe('fromAllow2', () => {
+        it('leaves days without blocks, or with an unknown day type, unrestricted', () => {
+            const { schedule } = fromAllow2({
+                days: { monday: 'weekend', tuesday: 'missing' },
+                dayTypes: { weekend: { name: 'Weekend' } }
+            });
+
+            assert.deepEqual(schedule.monday, ALL_DAY);
+            assert.deepEqual(schedule.tuesday, ALL_DAY);
+        });
+
+        it('blocks a day whose block list is empty', () => {
+            const { schedule } = fromAllow2(everyDay({ blocks: [] }));
+
+            assert.equal(schedule.monday, null);
+        });
+
+        it('maps a single block to the same window', () => {
+            const { schedule, widened } = fromAllow2(everyDay({ blocks: [{ start: '07:00', end: '20:00' }] }));
+
+            assert.deepEqual(schedule.friday, { start: '07:00', end: '20:00' });
+            assert.deepEqual(widened, []);
+        });
+
+        it('widens separate blocks to one window and reports the day', () => {
+            const { schedule, widened } = fromAllow2(everyDay({
+                blocks: [{ start: '15:30', end: '20:00' }, { start: '07:00', end: '08:30' }]
+            }));
+
+            assert.deepEqual(schedule.monday, { start: '07:00', end: '20:00' });
+            assert.deepEqual(widened, WEEKDAYS);
+        });
+
+        it('does not report blocks that touch or overlap as widened', () => {
+            const { schedule, widened } = fromAllow2(everyDay({
+                blocks: [{ start: '07:00', end: '12:00' }, { start: '12:00', end: '18:00' }, { start: '10:00', end: '14:00' }]
+            }));
+
+            assert.deepEqual(schedule.monday, { start: '07:00', end: '18:00' });
+            assert.deepEqual(widened, []);
+        });
+
+        it('counts overlapping blocks once when looking for gaps', () => {
+            const { widened } = fromAllow2(everyDay({
+                blocks: [{ start: '07:00', end: '12:00' }, { start: '08:00', end: '11:00' }, { start: '13:00', end: '18:00' }]
+            }));
+
+            assert.deepEqual(widened, WEEKDAYS);
+        });
+
+        it('ignores unreadable blocks next to good ones', () => {
+            const { schedule, skipped } = fromAllow2(everyDay({
+                blocks: [{ start: '07:00', end: '20:00' }, { start: 'noon', end: '13:00' }, { start: '18:00', end: '09:00' }]
+            }));
+
+            assert.deepEqual(schedule.monday, { start: '07:00', end: '20:00' });
+            assert.deepEqual(skipped, []);
+        });
+
+        it('keeps the current window for a day whose blocks are all unreadable', () => {
+            const current = normalizeSchedule({ monday: { start: '09:00', end: '17:00' }, tuesday: null });
+            const { schedule, skipped } = fromAllow2(everyDay({ blocks: [{ start: '25:00', end: '26:00' }] }), current);
+
+            assert.deepEqual(schedule.monday, { start: '09:00', end: '17:00' });
+            assert.equal(schedule.tuesday, null);
+            assert.deepEqual(schedule.sunday, ALL_DAY);
+            assert.deepEqual(skipped, WEEKDAYS);
+        });
+
+        it('leaves a day with only unreadable blocks unrestricted when there is no current schedule', () => {
+            const { schedule } = fromAllow2(everyDay({ blocks: [{ start: '09:00', end: '09:00' }] }));
+
+            assert.deepEqual(schedule.monday, ALL_DAY);
+        });
+    });
+
+    describe('schedulesEqual', () => {
+        it('treats a missing day as unrestricted', () => {
+            assert.equal(schedulesEqual({ monday: ALL_DAY }, {}), true);
+        });
+
+        it('tells a blocked day from an open one', () => {
+            assert.equal(schedulesEqual({ monday: null }, {}), false);
+            assert.equal(schedulesEqual({ monday: { start: '07:00', end: '20:00' } }, { monday: { start: '07:00', end: '21:00' } }), false);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert').strict;
+const { SETTINGS_SCHEMA, DEFAULT_SETTINGS, validateSettings } = require('../../src/services/Settings');
+
+const MINUTE = 60000;
+
+describe('Settings', () => {
+    it('takes every default from the schema', () => {
+        assert.deepEqual(Object.keys(DEFAULT_SETTINGS), Object.keys(SETTINGS_SCHEMA));
+        assert.equal(DEFAULT_SETTINGS.syncInterval, 10 * MINUTE);
+        assert.equal(DEFAULT_SETTINGS.conflictPolicy, 'allow2');
+    });
+
+    describe('validateSettings', () => {
+        it('accepts valid changes on top of the current settings', () => {
+            const current = { ...DEFAULT_SETTINGS, headless: false };
+            const { settings, problems } = validateSettings({ conflictPolicy: 'ask', usageHistoryDays: 90 }, current);
+
+            assert.deepEqual(problems, []);
+            assert.equal(settings.headless, false);
+            assert.equal(settings.conflictPolicy, 'ask');
+            assert.equal(settings.usageHistoryDays, 90);
+        });
+
+        it('clamps numbers outside their range and reports them without rejecting', () => {
+            const { settings, problems } = validateSettings({ syncInterval: 5 * 60 * MINUTE, aggressiveSyncThreshold: 0 });
+
+            assert.equal(settings.syncInterval, 60 * MINUTE);
+            assert.equal(settings.aggressiveSyncThreshold, 1);
+            assert.deepEqual(problems.map(problem => [problem.key, problem.rejected]), [
+                ['syncInterval', false],
+                ['aggressiveSyncThreshold', false]
+            ]);
+            assert.match(problems[0].message, /300 minutes is out of range - 60 minutes was used/);
+        });
+
+        it('rejects values of the wrong type, unknown settings and unknown choices', () => {
+            const { settings, problems } = validateSettings({
+                headless: 'yes',
+                syncInterval: '600000',
+                theme: 'dark',
+                conflictPolicy: 'parent'
+            });
+
+            assert.equal(settings.headless, DEFAULT_SETTINGS.headless);
+            assert.equal(settings.syncInterval, DEFAULT_SETTINGS.syncInterval);
+            assert.equal(settings.conflictPolicy, DEFAULT_SETTINGS.conflictPolicy);
+            assert.equal('theme' in settings, false);
+            assert.deepEqual(problems.map(problem => [problem.key, problem.rejected]), [
+                ['headless', true],
+                ['syncInterval', true],
+                ['theme', true],
+                ['conflictPolicy', true]
+            ]);
+        });
+
+        it('rejects anything but an object', () => {
+            for (const values of [null, 'syncInterval', [true]]) {
+                const { settings, problems } = validateSettings(values);
+
+                assert.deepEqual(settings, DEFAULT_SETTINGS);
+                assert.deepEqual(problems, [{ key: null, message: 'Settings must be an object', rejected: true }]);
+            }
+        });
+
+        it('falls back to the default for a stored value that no longer fits', () => {
+            const current = { ...DEFAULT_SETTINGS, conflictPolicy: 'retired', usageHistoryDays: 'forever' };
+            const { settings, problems } = validateSettings({}, current);
+
+            assert.equal(settings.conflictPolicy, DEFAULT_SETTINGS.conflictPolicy);
+            assert.equal(settings.usageHistoryDays, DEFAULT_SETTINGS.usageHistoryDays);
+            assert.deepEqual(problems, []);
+        });
+
+        it('keeps the low-time interval no longer than the normal one', () => {
+            const { settings, problems } = validateSettings({ syncInterval: 5 * MINUTE, aggressiveSyncInterval: 20 * MINUTE });
+
+            assert.equal(settings.syncInterval, 5 * MINUTE);
+            assert.equal(settings.aggressiveSyncInterval, 5 * MINUTE);
+            assert.deepEqual(problems.map(problem => [problem.key, problem.rejected]), [['aggressiveSyncInterval', false]]);
+        });
+    });
+});
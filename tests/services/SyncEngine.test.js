@@ -0,0 +1,165 @@
+'use strict';
+
+const assert = require('assert').strict;
+const SyncEngine = require('../../src/services/SyncEngine');
+
+/**
+ * A syncChild whose calls wait until released, recording each pass
+ */
+function gatedSync() {
+    const calls = [];
+    let release;
+    let gate = new Promise(resolve => { release = resolve; });
+
+    return {
+        calls,
+        release: () => {
+            release();
+            gate = new Promise(resolve => { release = resolve; });
+        },
+        syncChild: async (childId, options) => {
+            calls.push({ childId, force: options.force });
+            await gate;
+            return `synced ${childId}`;
+        }
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SyncEngine', () => {
+    it('resolves each child to its result or its error', async () => {
+        const engine = new SyncEngine({
+            syncChild: async (childId) => {
+                if (childId === 'b') throw new Error('offline');
+                return `synced ${childId}`;
+            }
+        });
+
+        const results = await engine.request(['a', 'b']);
+
+        assert.deepEqual(results.a, { result: 'synced a' });
+        assert.equal(results.b.error.message, 'offline');
+    });
+
+    it('lets a request the running pass covers join it', async () => {
+        const sync = gatedSync();
+        const engine = new SyncEngine({ syncChild: sync.syncChild });
+
+        const first = engine.request(['a', 'b']);
+        await tick();
+        const joined = engine.request(['a']);
+        sync.release();
+
+        assert.deepEqual(await joined, { a: { result: 'synced a' } });
+        await first;
+        assert.equal(sync.calls.length, 2);
+    });
+
+    it('merges requests made during a pass into one queued pass', async () => {
+        const sync = gatedSync();
+        const engine = new SyncEngine({ syncChild: sync.syncChild, concurrency: 1 });
+
+        const running = engine.request(['a']);
+        await tick();
+        const second = engine.request(['b']);
+        const third = engine.request(['c', 'b']);
+
+        sync.release();
+        await running;
+        await tick();
+        sync.release();
+        await tick();
+        sync.release();
+
+        assert.deepEqual(Object.keys(await second), ['b']);
+        assert.deepEqual(Object.keys(await third), ['c', 'b']);
+        assert.deepEqual(sync.calls.map(call => call.childId), ['a', 'b', 'c']);
+    });
+
+    it('does not let a forced request join an unforced pass', async () => {
+        const sync = gatedSync();
+        const engine = new SyncEngine({ syncChild: sync.syncChild });
+
+        const running = engine.request(['a']);
+        await tick();
+        const forced = engine.request(['a'], { force: true });
+
+        sync.release();
+        await running;
+        await tick();
+        sync.release();
+        await forced;
+
+        assert.deepEqual(sync.calls, [
+            { childId: 'a', force: false },
+            { childId: 'a', force: true }
+        ]);
+    });
+
+    it('keeps force when a queued child is requested again without it', async () => {
+        const sync = gatedSync();
+        const engine = new SyncEngine({ syncChild: sync.syncChild });
+
+        const running = engine.request(['x']);
+        await tick();
+        const queued = Promise.all([
+            engine.request(['a'], { force: true }),
+            engine.request(['a'])
+        ]);
+
+        sync.release();
+        await running;
+        await tick();
+        sync.release();
+        await queued;
+
+        assert.deepEqual(sync.calls[1], { childId: 'a', force: true });
+    });
+
+    it('runs exclusive work between passes, never during one', async () => {
+        const sync = gatedSync();
+        const order = [];
+        const engine = new SyncEngine({
+            syncChild: async (childId, options) => {
+                await sync.syncChild(childId, options);
+                order.push('pass');
+            }
+        });
+
+        const running = engine.request(['a']);
+        await tick();
+        const exclusive = engine.exclusive(async () => {
+            order.push('exclusive');
+            return 'done';
+        });
+
+        await tick();
+        assert.deepEqual(order, []);
+
+        sync.release();
+        assert.equal(await exclusive, 'done');
+        await running;
+        assert.deepEqual(order, ['pass', 'exclusive']);
+        assert.equal(engine.isBusy(), false);
+    });
+
+    it('rejects only the exclusive call that failed', async () => {
+        const engine = new SyncEngine({ syncChild: async () => 'ok' });
+
+        await assert.rejects(engine.exclusive(async () => { throw new Error('write failed'); }), /write failed/);
+        assert.deepEqual(await engine.request(['a']), { a: { result: 'ok' } });
+    });
+
+    it('reports each pass once it completes', async () => {
+        const passes = [];
+        const engine = new SyncEngine({
+            syncChild: async (childId) => childId,
+            onPassComplete: (results) => passes.push(Object.keys(results))
+        });
+
+        await engine.request(['a', 'b']);
+
+        assert.deepEqual(passes, [['a', 'b']]);
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert').strict;
+const WriteOutbox = require('../../src/services/WriteOutbox');
+const { ApiError, AuthExpiredError, NotFoundError, TransientError } = require('../../src/services/ApiErrors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('WriteOutbox', () => {
+    let outbox;
+
+    /**
+     * An outbox whose retries wait far longer than any test runs
+     */
+    function createOutbox(write, entries) {
+        outbox = new WriteOutbox({ write, entries, retryDelays: [60000] });
+        return outbox;
+    }
+
+    afterEach(() => {
+        if (outbox) outbox.stop();
+        outbox = null;
+    });
+
+    describe('shouldQueue', () => {
+        it('queues transient failures and expired sessions', () => {
+            assert.equal(WriteOutbox.shouldQueue(new TransientError('timeout')), true);
+            assert.equal(WriteOutbox.shouldQueue(new AuthExpiredError('expired')), true);
+        });
+
+        it('does not queue errors a retry cannot fix', () => {
+            assert.equal(WriteOutbox.shouldQueue(new NotFoundError('gone')), false);
+            assert.equal(WriteOutbox.shouldQueue(new ApiError('bad request', { status: 400 })), false);
+            assert.equal(WriteOutbox.shouldQueue(new Error('bug')), false);
+        });
+    });
+
+    describe('enqueue', () => {
+        it('keeps only the newest write for each child', () => {
+            createOutbox(async () => {});
+
+            outbox.enqueue('a', 60);
+            outbox.enqueue('b', 30);
+            outbox.enqueue('a', 90, new TransientError('offline'));
+
+            assert.equal(outbox.depth, 2);
+            assert.deepEqual(outbox.entries.map(entry => [entry.childId, entry.minutes]), [['b', 30], ['a', 90]]);
+            assert.equal(outbox.entries[1].lastError, 'offline');
+        });
+
+        it('forgets a discarded child', () => {
+            createOutbox(async () => {});
+
+            outbox.enqueue('a', 60);
+            outbox.discard('a');
+
+            assert.equal(outbox.has('a'), false);
+            assert.equal(outbox.depth, 0);
+        });
+    });
+
+    describe('flush', () => {
+        it('applies queued writes in order and empties the queue', async () => {
+            const writes = [];
+            createOutbox(async (childId, minutes) => writes.push([childId, minutes]));
+            outbox.enqueue('a', 60);
+            outbox.enqueue('b', 30);
+
+            await outbox.flush();
+
+            assert.deepEqual(writes, [['a', 60], ['b', 30]]);
+            assert.equal(outbox.depth, 0);
+        });
+
+        it('drops a write Microsoft rejects outright and moves on', async () => {
+            const writes = [];
+            createOutbox(async (childId, minutes) => {
+                if (childId === 'a') throw new NotFoundError('child not found');
+                writes.push([childId, minutes]);
+            });
+            outbox.enqueue('a', 60);
+            outbox.enqueue('b', 30);
+
+            await outbox.flush();
+
+            assert.deepEqual(writes, [['b', 30]]);
+            assert.equal(outbox.depth, 0);
+        });
+
+        it('keeps a write that still fails, and the ones behind it, for a retry', async () => {
+            const attempted = [];
+            createOutbox(async (childId) => {
+                attempted.push(childId);
+                throw new TransientError('offline');
+            });
+            outbox.enqueue('a', 60);
+            outbox.enqueue('b', 30);
+
+            await outbox.flush();
+
+            assert.deepEqual(attempted, ['a']);
+            assert.equal(outbox.depth, 2);
+            assert.equal(outbox.entries[0].attempts, 2);
+            assert.equal(outbox.entries[0].lastError, 'offline');
+            assert.notEqual(outbox.timer, null);
+        });
+
+        it('drops writes queued on a previous day without sending them', async () => {
+            const writes = [];
+            const yesterday = Date.now() - DAY;
+            createOutbox(async (childId, minutes) => writes.push([childId, minutes]), [
+                { childId: 'a', minutes: 60, queuedAt: yesterday, attempts: 3, lastAttemptAt: yesterday, lastError: 'offline' },
+                { childId: 'b', minutes: 30, queuedAt: Date.now(), attempts: 1, lastAttemptAt: Date.now(), lastError: null }
+            ]);
+
+            await outbox.flush();
+
+            assert.deepEqual(writes, [['b', 30]]);
+            assert.equal(outbox.depth, 0);
+        });
+
+        it('stops a replay in progress when the queue is reset', async () => {
+            let release;
+            const writes = [];
+            createOutbox((childId, minutes) => new Promise(resolve => {
+                writes.push([childId, minutes]);
+                release = resolve;
+            }));
+            outbox.enqueue('a', 60);
+            outbox.enqueue('b', 30);
+
+            const flushing = outbox.flush();
+            outbox.reset([{ childId: 'c', minutes: 15, queuedAt: Date.now(), attempts: 1 }]);
+            release();
+            await flushing;
+
+            assert.deepEqual(writes, [['a', 60]]);
+            assert.deepEqual(outbox.entries.map(entry => entry.childId), ['c']);
+        });
+    });
+});